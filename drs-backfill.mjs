@@ -0,0 +1,106 @@
+// Backfills Airtable from the Worker over a long date range, one chunk at a time,
+// e.g. to rebuild a season after a mapping change.
+// Same as `drs-sync backfill` (shared flags, config file and exit codes: see drs-sync.mjs).
+// Usage:
+//   node drs-backfill.mjs --start=2025-04-01 --end=2025-10-31              # day by day
+//   node drs-backfill.mjs --start=2025-04-01 --end=2025-10-31 --chunk=7    # 7 days per Worker call
+//   node drs-backfill.mjs ... --restart                                    # ignore the checkpoint
+//   node drs-backfill.mjs ... --dry-run | --fixture=airtable.json          # diff only, no checkpoint
+//
+// Required ENV: WORKER_URL, WORKER_TOKEN (see lib/worker.mjs), AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE
+//               (or other SINKS: sqlite, postgres, csv, xlsx, see lib/sinks.mjs)
+// Optional:     START / END instead of the flags, BACKFILL_CHUNK (days, default 1, at most the
+//               Worker's MAX_RANGE_DAYS), BACKFILL_CHECKPOINT (default .drs-state/backfill-<start>_<end>.json),
+//               plus the same mapping / NORMALIZE / RECONCILE / STATE_FILE settings as drs-pull.mjs.
+//
+// Each order is filed under its own service date (the mapping's "date" field);
+// with --chunk=1 the day requested is the fallback for orders without one. A
+// finished chunk is written to the checkpoint file, so an interrupted run picks
+// up at the next chunk. A chunk with writes that failed is only checkpointed when
+// Airtable parked them in its retry file (the next run replays them); otherwise a
+// rerun does it again. Failed writes make the run exit 9 (partial) after the other
+// chunks. Webhooks are never sent: a backfill isn't news.
+
+import fs from "node:fs";
+import path from "node:path";
+import { opt, parseArgs, dryRunFlags, configError, fail, EXIT, isMain, emit } from "./lib/env.mjs";
+import { isISODate, eachDay } from "./lib/dates.mjs";
+import { loadMapping } from "./lib/mapping.mjs";
+import { reconcileConfig } from "./lib/reconcile.mjs";
+import { stateFromEnv } from "./lib/state.mjs";
+import { workerFromEnv } from "./lib/worker.mjs";
+import { sinksFromEnv } from "./lib/sinks.mjs";
+import { syncOrders } from "./lib/sync.mjs";
+import { formatDiff } from "./lib/diff.mjs";
+
+export async function main(args = parseArgs()){
+  const start = args.start || opt("START"), end = args.end || opt("END");
+  const chunk = Number(args.chunk || opt("BACKFILL_CHUNK", "1"));
+  if (!isISODate(start) || !isISODate(end) || end < start) throw configError("Usage: node drs-backfill.mjs --start=YYYY-MM-DD --end=YYYY-MM-DD [--chunk=days] [--restart] [--dry-run]");
+  if (!Number.isInteger(chunk) || chunk < 1) throw configError(`--chunk must be a whole number of days, got "${args.chunk || opt("BACKFILL_CHUNK")}"`);
+
+  const worker = workerFromEnv();
+  const { dryRun, fixture } = dryRunFlags(args);
+  const mapping = loadMapping(args.mapping);
+  const reconcile = reconcileConfig(mapping);
+  const state = stateFromEnv();
+  const sink = sinksFromEnv({ mapping, fixture });
+
+  const file = opt("BACKFILL_CHECKPOINT", `.drs-state/backfill-${start}_${end}.json`);
+  let cp = { start, end, chunk, done: {} };
+  if (!dryRun && !args.restart && fs.existsSync(file)) {
+    const prev = JSON.parse(fs.readFileSync(file, "utf8"));
+    if (prev.chunk !== chunk) throw configError(`${file} was written with --chunk=${prev.chunk}; use that, or --restart`);
+    cp = { ...cp, done: prev.done || {} };
+    if (Object.keys(cp.done).length) console.log(`Resuming from ${file}: ${Object.keys(cp.done).length} chunk(s) already done`);
+  }
+
+  const days = eachDay(start, end), totals = {}, failed = [];
+  for (let i = 0; i < days.length; i += chunk) {
+    const span = days.slice(i, i + chunk), from = span[0], to = span[span.length - 1];
+    if (cp.done[from]) continue;
+
+    const rows = await worker.orders(from, to);
+    // writes no retry file holds throw EXIT.partial (see syncOrders): the chunk stays undone
+    let result, lost = "";
+    try { result = await syncOrders(rows, { date: from === to ? from : "", dates: span, mapping, sink, reconcile, state, dryRun }); }
+    catch (e) {
+      if (e.exitCode !== EXIT.partial || !e.result) throw e;
+      result = e.result; lost = e.message.split("\n")[0];
+    }
+    if (dryRun) console.log(formatDiff(result.diff, result.reconcile));
+    for (const [day, counts] of Object.entries(result.days).sort()) {
+      const flat = flatCounts(counts);
+      console.log(`${day}  ${flat.map(([a, n]) => `${a} ${n}`).join("  ")}`);
+      for (const [a, n] of flat) totals[a] = (totals[a] || 0) + n;
+    }
+    if (result.undated) console.warn(`${from}..${to}: ${result.undated} order(s) without a date of their own were skipped (use --chunk=1)`);
+    if (lost) console.warn(`${from}..${to}: ${lost}; not checkpointed, the next run writes this chunk again`);
+    else if (result.failed && result.retryFile) console.warn(`${from}..${to}: ${result.failed} write(s) failed and were parked in ${result.retryFile}`);
+    if (result.failed) failed.push({ from, to, failed: result.failed, ...(lost ? {} : { retryFile: result.retryFile }) });
+
+    if (!dryRun && !lost) {
+      cp.done[from] = { end: to, at: new Date().toISOString(), fetched: result.fetched, ...(result.undated ? { undated: result.undated } : {}), days: result.days };
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      fs.writeFileSync(`${file}.tmp`, JSON.stringify(cp, null, 1), "utf8");
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  }
+
+  const summary = { start, end, chunk, days: days.length, totals, ...(failed.length ? { failed } : {}), ...(dryRun ? { dryRun: true } : { checkpoint: file }) };
+  emit(summary);
+  if (failed.length) {
+    const e = new Error(`${failed.reduce((n, f) => n + f.failed, 0)} write(s) failed in ${failed.length} chunk(s): ${failed.map(f => `${f.from}..${f.to}${f.retryFile ? ` (parked in ${f.retryFile})` : " (not checkpointed)"}`).join(", ")}`);
+    e.exitCode = EXIT.partial;
+    throw e;
+  }
+  return summary;
+}
+
+// ---------- helpers ----------
+// A day's counts as [label, n]: { create: 2 }, or per sink with several ({ csv: { create: 2 } } → "csv create")
+function flatCounts(counts){
+  return Object.entries(counts).flatMap(([k, v]) => (typeof v === "object" ? Object.entries(v).map(([a, n]) => [`${k} ${a}`, n]) : [[k, v]]));
+}
+
+if (isMain(import.meta)) main().catch(fail);
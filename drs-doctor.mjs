@@ -0,0 +1,136 @@
+// Checks the configuration before a run trips over it and prints PASS / WARN / FAIL
+// per check, with a suggested fix for each failure.
+// Same as `drs-sync doctor` (shared flags, config file and exit codes: see drs-sync.mjs).
+// Usage:
+//   node drs-doctor.mjs                 # everything that is configured
+//   node drs-doctor.mjs --for=pull      # only what `pull` needs (pull, scrape, export, import-csv, backfill)
+//   node drs-doctor.mjs --offline       # settings only, no Worker / DRS / Airtable / database calls
+//   node drs-doctor.mjs --date=YYYY-MM-DD   # the day the Worker probe asks for (default today)
+//   node drs-doctor.mjs --json          # { ok, checks: [{ name, ok, warn?, detail, fix? }] }
+//
+// Once a service's settings pass, it is tried for real (see lib/doctor.mjs): the Worker
+// with ?debug=1 (token, its DRS secrets), the DRS web login (opens a browser), the
+// Airtable table and every mapped column with its type (metadata API), and a
+// one-day read from the other sinks. Nothing is written.
+//
+// Settings are read exactly as the commands read them (env, or drs-sync's config file).
+// Exits 10 when a check fails (see EXIT in lib/env.mjs); warnings don't count.
+
+import fs from "node:fs";
+import { opt, parseArgs, configError, fail, isMain, emit, EXIT } from "./lib/env.mjs";
+import { loadMapping } from "./lib/mapping.mjs";
+import { reconcileConfig } from "./lib/reconcile.mjs";
+import { DEFAULT_STATE } from "./lib/state.mjs";
+import { webhooksFromEnv } from "./lib/webhooks.mjs";
+import { sinksFromEnv } from "./lib/sinks.mjs";
+import { optionalImport } from "./lib/sink.mjs";
+import { loginUrls } from "./lib/browser.mjs";
+import { today, isISODate } from "./lib/dates.mjs";
+import { problem, probeWorker, probeLogin, airtableTable, fieldChecks, probeSink } from "./lib/doctor.mjs";
+
+// what each command reads its orders from
+const SOURCES = { pull: "worker", backfill: "worker", scrape: "drs", export: "drs", "import-csv": "" };
+
+const DRIVERS = { sqlite: "better-sqlite3", postgres: "pg", xlsx: "exceljs" };
+
+export async function main(args = parseArgs()){
+  if (args.for && !(args.for in SOURCES)) throw configError(`--for must be one of ${Object.keys(SOURCES).join(", ")}`);
+  const date = args.date || today(), live = !args.offline;
+  if (!isISODate(date)) throw configError(`--date must be YYYY-MM-DD (got "${date}")`);
+  const sources = args.for ? [SOURCES[args.for]].filter(Boolean)
+    : ["worker", "drs"].filter(s => s === "worker" ? opt("WORKER_URL") : opt("DRS_USERNAME") || opt("DRS_LOGIN_URL"));
+
+  const checks = [];
+  const check = async (name, fn) => {
+    try { checks.push({ name, ok: true, detail: (await fn()) || "" }); return true; }
+    catch (e) { checks.push({ name, ok: false, detail: e.message, ...(e.fix ? { fix: e.fix } : {}) }); return false; }
+  };
+
+  let mapping = null;
+  await check("mapping", () => {
+    mapping = loadMapping(args.mapping);
+    return `${mapping.file}: ${Object.keys(mapping.fields).length} fields${mapping.enrich.enabled ? `, enrich ${Object.keys(mapping.enrich.fields).length}` : ""}`;
+  });
+
+  if (!sources.length && !args.for) await check("source", () => { throw problem("No order source configured", "set WORKER_URL + WORKER_TOKEN (pull, backfill) or DRS_USERNAME / DRS_PASSWORD (scrape, export)"); });
+  if (sources.includes("worker") && await check("worker settings", () => {
+    need(["WORKER_URL", "WORKER_TOKEN"], "the Worker's URL and its ACCESS_TOKEN (see lib/worker.mjs)");
+    if (!/^https?:\/\//.test(opt("WORKER_URL"))) throw problem(`WORKER_URL "${opt("WORKER_URL")}" is not a URL`, "use https://<name>.<account>.workers.dev");
+    if (opt("WORKER_API") && opt("WORKER_API") !== "v1") throw problem(`WORKER_API must be v1 or unset (got "${opt("WORKER_API")}")`, "unset it for the legacy route");
+    return opt("WORKER_URL");
+  }) && live) await check("worker", () => probeWorker({ url: opt("WORKER_URL"), token: opt("WORKER_TOKEN"), date }));
+  if (sources.includes("drs") && await check("DRS settings", () => {
+    const keys = args.for === "export" ? ["DRS_LOGIN_URL", "DRS_USERNAME", "DRS_PASSWORD"]
+      : args.for === "scrape" ? ["DRS_BASE", "DRS_ORDERS_URL", "DRS_USERNAME", "DRS_PASSWORD"]
+      : ["DRS_USERNAME", "DRS_PASSWORD"];
+    need(keys, "the DRS web login (see drs-scrape.mjs / drs-export-daily.mjs)");
+    return keys.join(", ");
+  }) && live) {
+    await check("DRS login", () => probeLogin({
+      urls: loginUrls({ base: args.for === "export" ? "" : opt("DRS_BASE"), loginUrl: opt("DRS_LOGIN_URL") }),
+      user: opt("DRS_USERNAME"), pass: opt("DRS_PASSWORD"),
+      checkUrl: args.for === "export" ? opt("DRS_REPORTS_URL") : opt("DRS_ORDERS_URL") || opt("DRS_REPORTS_URL")
+    }));
+  }
+
+  if (mapping) {
+    let names = [], sink = null, reconcile = null;
+    await check("sinks", () => {
+      names = opt("SINKS", "airtable").split(",").map(s => s.trim().toLowerCase()).filter(Boolean);
+      try { sink = sinksFromEnv({ mapping }); } catch (e) { throw problem(e.message, "set what each sink in SINKS needs: AIRTABLE_API_KEY / _BASE_ID / _TABLE, POSTGRES_URL, ... (see lib/sinks.mjs)"); }
+      return sink.table ? `${sink.name} → ${sink.table}` : sink.name;
+    });
+    const drivers = {};
+    for (const n of names.filter(n => DRIVERS[n])) {
+      drivers[n] = await check(`${n} driver`, async () => {
+        if (n === "sqlite" && await import("node:sqlite").then(() => true, () => false)) return "node:sqlite";
+        await optionalImport(DRIVERS[n], `SINKS=${n}`).catch(e => { throw problem(e.message, `npm install ${DRIVERS[n]}`); });
+        return DRIVERS[n];
+      });
+    }
+    await check("reconcile", () => { reconcile = reconcileConfig(mapping); return reconcile.mode === "off" ? "off" : `${reconcile.mode} (${reconcile.field || "delete"})`; });
+
+    for (const s of live && sink ? sink.sinks || [sink] : []) {
+      if (s.name !== "airtable") { if (drivers[s.name] !== false) await check(`${s.name} sink`, () => probeSink(s, date)); continue; }
+      if (opt("AIRTABLE_FIXTURE")) continue;
+      let table = null;
+      await check("airtable table", async () => {
+        table = await airtableTable({ apiKey: opt("AIRTABLE_API_KEY"), baseId: opt("AIRTABLE_BASE_ID"), table: opt("AIRTABLE_TABLE") });
+        return `${table.name} (${table.id}), ${table.fields.length} columns`;
+      });
+      if (table) checks.push(...fieldChecks(table, mapping, reconcile || { mode: "off" }));
+    }
+  }
+
+  await check("state", () => {
+    const file = opt("STATE_FILE", DEFAULT_STATE);
+    if (file === "off") {
+      if (opt("WEBHOOK_URLS")) throw problem("WEBHOOK_URLS is set but STATE_FILE is off", "unset STATE_FILE=off; webhooks need the state to tell what changed");
+      return "off";
+    }
+    if (!fs.existsSync(file)) return `${file} (created on the first run)`;
+    try { JSON.parse(fs.readFileSync(file, "utf8")); } catch (e) { throw problem(`${file}: ${e.message}`, `move ${file} aside; the next run starts a new one`); }
+    return file;
+  });
+  if (opt("WEBHOOK_URLS")) await check("webhooks", () => { const w = webhooksFromEnv(); return w ? `${opt("WEBHOOK_URLS").split(",").length} URL(s)` : "off"; });
+
+  const ok = checks.every(c => c.ok);
+  if (args.json) emit({ ok, checks });
+  else {
+    for (const c of checks) {
+      console.log(`${!c.ok ? "FAIL" : c.warn ? "WARN" : "PASS"}  ${c.name.padEnd(24)} ${c.detail}`);
+      if (c.fix) console.log(`      ${"".padEnd(24)} fix: ${c.fix}`);
+    }
+    console.log(ok ? "\nAll checks passed." : `\n${checks.filter(c => !c.ok).length} check(s) failed.`);
+  }
+  if (!ok) process.exitCode = EXIT.checks;
+  return { ok, checks };
+}
+
+if (isMain(import.meta)) main().catch(fail);
+
+// ---------- helpers ----------
+function need(keys, what){
+  const missing = keys.filter(k => !opt(k));
+  if (missing.length) throw problem(`Missing ${missing.join(", ")}`, `set ${missing.join(", ")}: ${what}`);
+}
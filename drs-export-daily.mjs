@@ -1,186 +1,199 @@
-// Automates DRS: Login → Reports → click "Day" tab → set date → "Export To CSV"
+// Automates DRS: Login → Reports → pick the report → click the Day / Week / Month tab → set date → "Export To CSV"
+// Same as `drs-sync export` (shared flags, config file and exit codes: see drs-sync.mjs).
+// Every download is checked (no HTML pages saved as .csv, the header must have the
+// report's columns), counted, and listed in OUT_DIR/manifest.json with a SHA-256.
+// With --import (or IMPORT=1) the saved CSVs are then upserted into Airtable
+// through the same mapping as drs-import-csv.mjs.
 // Usage (local):
 //   npm i playwright
 //   npx playwright install --with-deps chromium
 //   DRS_LOGIN_URL='https://reliablerentalequipment.ourers.com/cp/autoforward' \
 //   DRS_USERNAME='Ashley B' DRS_PASSWORD='YOUR_PASS' \
 //   node drs-export-daily.mjs --date=2025-11-05 --out=./exports
+//   node drs-export-daily.mjs --start=2025-10-01 --end=2025-11-08   # Month tab for October, Week tab for
+//                                                                   # Nov 2-8, Day tab for Nov 1
 //
 // Optional ENV:
-//   DRS_REPORTS_URL (direct URL to that "Reports: Order List" page)
+//   DRS_REPORTS_URL (direct URL to the Reports page)
+//   DRS_REPORT / --report=name (report to export, default "Order List"; the column check only applies
+//                               to Order List unless EXPORT_COLUMNS is set)
+//   EXPORT_COLUMNS=Order #,Customer (header names every file must have; default: a column the mapping
+//                                    reads for "order" and one for "customer")
+//   EXPORT_TABS / --tabs=day,week,month (tabs a range may use, default all three)
+//   EXPORT_WEEK_START=0 (day DRS weeks start on, 0 = Sunday)
 //   HEADLESS=0  (to watch it run)
-//   DATE=YYYY-MM-DD (alternative to --date)
+//   DATE=YYYY-MM-DD (alternative to --date, defaults to today in DRS_TZ)
+//   START / END (alternative to --start / --end)
 //   OUT_DIR=./path
+//   IMPORT=1 (alternative to --import; needs AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE,
+//            or other SINKS, see lib/sinks.mjs)
+//   --dry-run / --fixture=airtable.json with --import: print the Airtable diff instead of writing
+//   --mapping=path / MAPPING_FILE (field mapping for --import and the column check, default mapping.json)
+//   DRS_SELECTORS=overrides.json (when DRS markup changes, see lib/selectors.mjs)
+//   WEBHOOK_URLS (with --import: change notifications, see lib/webhooks.mjs)
+//
+// Login: the session is saved and reused (DRS_SESSION_FILE, DRS_SESSION_MAX_AGE); a failed login
+// exits 4 bad credentials, 5 CAPTCHA/verification code, 6 account locked, 7 DRS maintenance,
+// 8 login didn't stick, leaving a screenshot, HTML, trace and HAR in OUT_DIR (see lib/browser.mjs).
+//
+// Files are named DRS-Daily-<day>.csv, DRS-Week-<first day>.csv, DRS-Month-<YYYY-MM>.csv
+// (other reports: DRS-<Report-Name>-...). A file that fails the check is kept as
+// <name>.rejected next to a screenshot, and the run exits 9 (partial) after the other periods.
 
 import fs from "node:fs/promises";
 import path from "node:path";
-import { chromium } from "playwright";
-
-const args = Object.fromEntries(process.argv.slice(2).map(a => {
-  const m = a.match(/^--([^=]+)=(.*)$/); return m ? [m[1], m[2]] : [a, true];
-}));
-
-const DRS_LOGIN_URL   = need("DRS_LOGIN_URL");
-const DRS_USERNAME    = need("DRS_USERNAME");
-const DRS_PASSWORD    = need("DRS_PASSWORD");
-const DRS_REPORTS_URL = process.env.DRS_REPORTS_URL || "";
-const HEADLESS        = process.env.HEADLESS === "0" ? false : true;
-const OUT_DIR         = process.env.OUT_DIR || args.out || "./exports";
-const DATE_ISO        = (process.env.DATE || args.date || ymdLocal());
-const DATE_MDY        = isoToMDY(DATE_ISO); // UI shows 11/05/2025
+import crypto from "node:crypto";
+import { must, opt, parseArgs, dryRunFlags, configError, fail, EXIT, isMain, emit } from "./lib/env.mjs";
+import { today, isISODate, isoToMDY, eachDay } from "./lib/dates.mjs";
+import { openSession, login } from "./lib/browser.mjs";
+import { reportsPage } from "./lib/pages.mjs";
+import { sinksFromEnv } from "./lib/sinks.mjs";
+import { loadMapping } from "./lib/mapping.mjs";
+import { reconcileConfig } from "./lib/reconcile.mjs";
+import { stateFromEnv } from "./lib/state.mjs";
+import { webhooksFromEnv } from "./lib/webhooks.mjs";
+import { readOrderCsv, checkOrderCsv } from "./lib/csv.mjs";
+import { syncOrders } from "./lib/sync.mjs";
+import { formatDiff } from "./lib/diff.mjs";
+
+export async function main(args = parseArgs()){
+  const DRS_LOGIN_URL   = must("DRS_LOGIN_URL");
+  const DRS_USERNAME    = must("DRS_USERNAME");
+  const DRS_PASSWORD    = must("DRS_PASSWORD");
+  const DRS_REPORTS_URL = opt("DRS_REPORTS_URL");
+  const REPORT          = args.report || opt("DRS_REPORT", "Order List");
+  const HEADLESS        = process.env.HEADLESS === "0" ? false : true;
+  const OUT_DIR         = args.out || opt("OUT_DIR", "./exports");
+  const DATE_ISO        = args.date || opt("DATE") || today();
+  const START           = args.start || opt("START") || DATE_ISO;
+  const END             = args.end || opt("END") || START;
+  const TABS            = String(args.tabs || opt("EXPORT_TABS", "day,week,month")).toLowerCase().split(",").map(s => s.trim());
+  const WEEK_START      = Number(opt("EXPORT_WEEK_START", "0"));
+  const IMPORT          = Boolean(args.import || process.env.IMPORT === "1");
+  const { dryRun, fixture } = dryRunFlags(args);
+  if (!isISODate(START) || !isISODate(END) || END < START) throw configError(`Bad date range ${START}..${END} (YYYY-MM-DD, start <= end)`);
+  const mapping         = loadMapping(args.mapping);
+  const columns         = expectedColumns(REPORT, mapping);
+  const reconcile       = IMPORT ? reconcileConfig(mapping) : null;
+  const state           = IMPORT ? stateFromEnv() : null;
+  const webhooks        = IMPORT ? webhooksFromEnv() : null;
+  const sink            = IMPORT ? sinksFromEnv({ mapping, fixture }) : null; // fail on bad config before logging in
+  const periods         = planPeriods(START, END, { tabs: TABS, weekStart: WEEK_START });
 
-(async () => {
   await fs.mkdir(OUT_DIR, { recursive: true });
 
-  const browser = await chromium.launch({ headless: HEADLESS });
-  const ctx = await browser.newContext({ acceptDownloads: true, viewport: { width: 1400, height: 900 } });
-  const page = await ctx.newPage();
-
-  // 1) Login
-  await page.goto(DRS_LOGIN_URL, { waitUntil: "domcontentloaded" });
-  await fillFirst(page, [
-    'input[placeholder="Username"]',
-    'input[name="username"]',
-    '#username',
-    'input[type="text"]',
-    'input[type="email"]'
-  ], DRS_USERNAME);
-
-  await fillFirst(page, [
-    'input[placeholder="Password"]',
-    'input[name="password"]',
-    '#password',
-    'input[type="password"]'
-  ], DRS_PASSWORD);
-
-  await clickFirst(page, [
-    'button:has-text("Sign in")',
-    'button:has-text("Log in")',
-    'button:has-text("Login")',
-    'button[type="submit"]',
-    'input[type="submit"]'
-  ]);
-
-  await page.waitForLoadState("networkidle");
-
-  // 2) Go to Reports page
-  if (DRS_REPORTS_URL) {
-    await page.goto(DRS_REPORTS_URL, { waitUntil: "domcontentloaded" });
-  } else {
-    await clickFirst(page, [
-      'a:has-text("Reports")',
-      'button:has-text("Reports")',
-      'nav >> text=Reports',
-      'text=Reports'
-    ], { optional: true });
+  // 1) Login (saved session reused while DRS accepts it, see lib/browser.mjs)
+  const session = await openSession({ headless: HEADLESS, tag: "drs-export", artifacts: OUT_DIR, contextOptions: { acceptDownloads: true, viewport: { width: 1400, height: 900 } } });
+  const { page } = session;
+  const files = [], rejected = [];
+  try {
+    const how = await login(session, { urls: [DRS_LOGIN_URL], user: DRS_USERNAME, pass: DRS_PASSWORD, checkUrl: DRS_REPORTS_URL });
+    console.log(how.reused ? "Reused saved DRS session" : "Logged in");
+
+    // 2) Go to Reports page, then the report itself (lib/pages.mjs)
+    const reports = reportsPage(page);
+    await reports.open(DRS_REPORTS_URL);
+    await reports.chooseReport(REPORT);
+
+    for (const p of periods) {
+      // 3) Click the Day / Week / Month tab, 4) put the period's first day into the date box
+      await reports.chooseTab(p.tab);
+      await reports.setDate(isoToMDY(p.start));
+
+      // 5) Export CSV (the download, or the CSV opened inline)
+      const fileName = exportName(REPORT, p);
+      const savePath = path.join(OUT_DIR, fileName);
+      const text = await reports.exportCsv();
+
+      // 6) Validate before anything trusts the file
+      const check = checkOrderCsv(text, { require: columns });
+      if (!check.ok) {
+        if (text) await fs.writeFile(`${savePath}.rejected`, text, "utf8");
+        await page.screenshot({ path: path.join(OUT_DIR, `${fileName}.png`), fullPage: true }).catch(()=>{});
+        console.error(`REJECTED ${fileName}: ${text ? check.error : "no CSV download detected and the page wasn’t CSV"}`);
+        rejected.push({ file: fileName, ...p, error: check.error });
+        continue;
+      }
+      await fs.writeFile(savePath, text, "utf8");
+      const entry = {
+        file: fileName, report: REPORT, tab: p.tab, start: p.start, end: p.end,
+        rows: check.rows, bytes: Buffer.byteLength(text), sha256: crypto.createHash("sha256").update(text).digest("hex"),
+        headers: check.headers, savedAt: new Date().toISOString()
+      };
+      files.push({ ...entry, path: savePath });
+      await writeManifest(OUT_DIR, entry);
+      console.log(`SAVED ${savePath} (${check.rows} rows)`);
+    }
+  } catch (e) {
+    await session.capture(e.kind ? "login-failed" : "export-failed");
+    throw e;
+  } finally {
+    await session.close();
   }
-  await page.waitForLoadState("domcontentloaded");
-
-  // 3) Click "Day" tab (your UI defaults to Month)
-  await clickFirst(page, [
-    'button:has-text("Day")',
-    'a:has-text("Day")',
-    '[role="tab"]:has-text("Day")',
-    'text=/^\\s*Day\\s*$/'
-  ], { optional: true });
-
-  // 4) Put date into the MM/DD/YYYY input near the top controls
-  await setDateInAnyDateBox(page, DATE_MDY);
-
-  // 5) Export CSV (capture download)
-  const fileName = `DRS-Daily-${DATE_ISO}.csv`;
-  const savePath = path.join(OUT_DIR, fileName);
-
-  const downloadP = page.waitForEvent("download", { timeout: 30000 }).catch(() => null);
 
-  await clickFirst(page, [
-    'button:has-text("Export To CSV")',
-    'a:has-text("Export To CSV")',
-    'button:has-text("CSV")',
-    'a:has-text("CSV")',
-    'text=/Export\\s*To\\s*CSV/i'
-  ]);
-
-  let dl = await downloadP;
-
-  if (dl) {
-    const suggested = dl.suggestedFilename() || fileName;
-    const final = suggested.toLowerCase().endsWith(".csv") ? suggested : fileName;
-    await dl.saveAs(path.join(OUT_DIR, final));
-    console.log(`SAVED ${path.join(OUT_DIR, final)}`);
-  } else {
-    // Fallback: sometimes the CSV opens inline
-    const maybe = await tryGrabCSVFromPage(page);
-    if (!maybe) {
-      await page.screenshot({ path: path.join(OUT_DIR, "no-download.png"), fullPage: true }).catch(()=>{});
-      throw new Error("No CSV download detected and page wasn’t CSV. See no-download.png");
+  // 7) Optional: upsert the files into Airtable. Week / Month files rely on each
+  //    row's own date (the mapping's "date" field); a Day file falls back to its day.
+  const imported = [];
+  if (IMPORT) {
+    for (const f of files) {
+      const { headers, rows } = await readOrderCsv(f.path, { date: f.start });
+      const result = await syncOrders(rows, { date: f.start === f.end ? f.start : "", dates: eachDay(f.start, f.end), mapping, sink, reconcile, state, webhooks, dryRun });
+      if (dryRun) console.log(`${f.file}\n${formatDiff(result.diff, result.reconcile)}\n`);
+      imported.push({ file: f.path, start: f.start, end: f.end, headers, ...result });
     }
-    await fs.writeFile(savePath, maybe, "utf8");
-    console.log(`SAVED ${savePath}`);
   }
+  const summary = { outDir: OUT_DIR, report: REPORT, start: START, end: END, files, rejected, ...(IMPORT ? { imported } : {}) };
+  emit(summary);
+  if (rejected.length) {
+    const e = new Error(`${rejected.length} export(s) failed validation: ${rejected.map(r => `${r.file} (${r.error})`).join("; ")}`);
+    e.exitCode = EXIT.partial;
+    throw e;
+  }
+  return summary;
+}
 
-  await browser.close();
-})().catch(err => { console.error(err?.stack || String(err)); process.exit(1); });
+if (isMain(import.meta)) main().catch(fail);
 
 // ---------- helpers ----------
-function need(k){ const v = process.env[k]; if (!v) { console.error(`Missing env ${k}`); process.exit(2); } return v; }
-function ymdLocal(d=new Date()){ const y=d.getFullYear(), m=String(d.getMonth()+1).padStart(2,"0"), da=String(d.getDate()).padStart(2,"0"); return `${y}-${m}-${da}`; }
-function isoToMDY(s){ const m=s.match(/^(\d{4})-(\d{2})-(\d{2})$/); if(!m) return s; return `${m[2]}/${m[3]}/${m[1]}`; }
-
-async function fillFirst(page, selectors, value){
-  for (const sel of selectors) {
-    const el = await page.$(sel);
-    if (el) { await el.fill(value); return true; }
-  }
-  return false;
-}
-async function clickFirst(page, selectors, opts = {}){
-  for (const sel of selectors) {
-    const loc = page.locator(sel).first();
-    if (await loc.count()) { await loc.click({ timeout: 8000 }); return true; }
+// Splits start..end into Month / Week / Day periods: whole calendar months and
+// whole weeks (from weekStart) use their tab when allowed, the rest goes day by day.
+function planPeriods(start, end, { tabs, weekStart }){
+  const out = [];
+  const shift = (d, n) => new Date(Date.parse(d + "T00:00:00Z") + n * 86400000).toISOString().slice(0, 10);
+  for (let d = start; d <= end; ) {
+    const t = new Date(d + "T00:00:00Z");
+    const monthEnd = new Date(Date.UTC(t.getUTCFullYear(), t.getUTCMonth() + 1, 0)).toISOString().slice(0, 10);
+    const weekEnd = shift(d, 6);
+    let p = { tab: "Day", start: d, end: d };
+    if (tabs.includes("month") && t.getUTCDate() === 1 && monthEnd <= end) p = { tab: "Month", start: d, end: monthEnd };
+    else if (tabs.includes("week") && t.getUTCDay() === weekStart && weekEnd <= end) p = { tab: "Week", start: d, end: weekEnd };
+    out.push(p);
+    d = shift(p.end, 1);
   }
-  if (opts.optional) return false;
-  throw new Error(`Could not click any of: ${selectors.join(" | ")}`);
+  return out;
 }
 
-async function setDateInAnyDateBox(page, mdy){
-  // Strategy:
-  //  - prefer obvious date inputs
-  //  - otherwise, find a text input whose value already matches MM/DD/YYYY and replace it
-  const picks = [
-    'input[type="date"]',
-    'input[name="date"]',
-    '#date',
-    'input[name="start"]',
-    '#start_date',
-    'input[name="from"]'
-  ];
-  for (const sel of picks) {
-    const el = await page.$(sel);
-    if (el) { await el.fill(mdy); return true; }
-  }
+function exportName(report, p){
+  const prefix = report.toLowerCase() === "order list" ? "DRS" : `DRS-${report.trim().replace(/[^A-Za-z0-9]+/g, "-")}`;
+  if (p.tab === "Month") return `${prefix}-Month-${p.start.slice(0, 7)}.csv`;
+  return `${prefix}-${p.tab === "Week" ? "Week" : "Daily"}-${p.start}.csv`;
+}
 
-  const boxes = await page.$$('input[type="text"]');
-  for (const el of boxes) {
-    const v = (await el.inputValue()).trim();
-    if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test(v)) {
-      await el.fill(mdy);
-      return true;
-    }
-  }
-  return false;
+// [label, candidates] pairs for checkOrderCsv(): EXPORT_COLUMNS, or for the Order
+// List whatever the mapping reads for the Order # and customer columns
+function expectedColumns(report, mapping){
+  const list = opt("EXPORT_COLUMNS").split(",").map(s => s.trim()).filter(Boolean);
+  if (list.length) return list.map(c => [c, [c]]);
+  if (report.toLowerCase() !== "order list") return [];
+  return ["order", "customer"].filter(k => mapping.fields[k]?.from.length).map(k => [`a "${mapping.names[k]}" column`, mapping.fields[k].from]);
 }
 
-async function tryGrabCSVFromPage(page){
-  try {
-    const url = page.url();
-    if (/\.csv(\?|$)/i.test(url)) {
-      const res = await fetch(url); if (res.ok) return await res.text();
-    }
-  } catch {}
-  try {
-    const text = await page.textContent("body");
-    if (text && text.includes(",") && /\n/.test(text)) return text;
-  } catch {}
-  return "";
+// One entry per file name; re-exporting a period replaces its entry
+async function writeManifest(dir, entry){
+  const file = path.join(dir, "manifest.json");
+  let manifest = { files: [] };
+  try { manifest = JSON.parse(await fs.readFile(file, "utf8")); } catch {}
+  manifest.files = [...(manifest.files || []).filter(f => f.file !== entry.file), entry].sort((a, b) => a.file.localeCompare(b.file));
+  manifest.updatedAt = entry.savedAt;
+  await fs.writeFile(file, JSON.stringify(manifest, null, 2), "utf8");
 }
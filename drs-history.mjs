@@ -0,0 +1,33 @@
+// Shows the change history kept in the sync state file (see lib/state.mjs).
+// Same as `drs-sync history` (shared flags, config file and exit codes: see drs-sync.mjs).
+// Usage:
+//   node drs-history.mjs --order=12345           # every change to one order (line items included)
+//   node drs-history.mjs --date=2025-11-05       # everything that happened to orders on that day
+//   node drs-history.mjs --order=12345 --json    # raw entries
+//
+// ENV: STATE_FILE (default .drs-state/state.json)
+
+import fs from "node:fs";
+import { opt, parseArgs, configError, fail, isMain, emit } from "./lib/env.mjs";
+import { DEFAULT_STATE, openState } from "./lib/state.mjs";
+
+export async function main(args = parseArgs()){
+  if (!args.order && !args.date) throw configError("Usage: node drs-history.mjs --order=<Order #> | --date=YYYY-MM-DD [--json]");
+  const file = opt("STATE_FILE", DEFAULT_STATE);
+  if (!fs.existsSync(file)) throw configError(`No state file at ${file} (set STATE_FILE)`);
+
+  const state = openState(file);
+  const entries = state.history({ order: args.order, date: args.date });
+  if (args.json) { emit(entries); return entries; }
+
+  if (!entries.length) { console.log("No history."); return; }
+  for (const h of entries) {
+    const what = h.event === "changed" ? `${h.field}: ${JSON.stringify(h.from)} → ${JSON.stringify(h.to)}` : h.event;
+    console.log(`${h.at}  ${h.date}  #${h.order}  ${what}`);
+  }
+  if (args.order) {
+    for (const cur of state.find(args.order)) console.log(`\ncurrent (${cur.date}, last seen ${cur.lastSeen}):`, JSON.stringify(cur.fields));
+  }
+}
+
+if (isMain(import.meta)) main().catch(fail);
@@ -0,0 +1,47 @@
+// Imports exported DRS "Order List" CSVs into Airtable (upsert by Date + Order #).
+// Same as `drs-sync import-csv` (shared flags, config file and exit codes: see drs-sync.mjs).
+// Usage:
+//   node drs-import-csv.mjs exports/DRS-Daily-2025-11-05.csv [more.csv ...]
+//   node drs-import-csv.mjs --date=2025-11-05 some-other-name.csv
+//   node drs-import-csv.mjs --dry-run exports/DRS-Daily-2025-11-05.csv   (print the Airtable diff, write nothing)
+//   node drs-import-csv.mjs --fixture=airtable.json exports/...csv      (offline: current rows from a file)
+//
+// Required ENV: AIRTABLE_API_KEY, AIRTABLE_BASE_ID, AIRTABLE_TABLE (or other SINKS, see lib/sinks.mjs)
+// Optional:     --mapping=path / MAPPING_FILE, AT_FIELD_*, AT_COL_* (same mapping as the scraper
+//               and puller, see lib/mapping.mjs), RECONCILE=flag|delete (see lib/reconcile.mjs),
+//               STATE_FILE (see lib/state.mjs), WEBHOOK_URLS (see lib/webhooks.mjs)
+//
+// The date of each file comes from its DRS-Daily-YYYY-MM-DD.csv name unless --date is given.
+
+import { parseArgs, dryRunFlags, configError, fail, isMain, emit } from "./lib/env.mjs";
+import { sinksFromEnv } from "./lib/sinks.mjs";
+import { loadMapping } from "./lib/mapping.mjs";
+import { reconcileConfig } from "./lib/reconcile.mjs";
+import { stateFromEnv } from "./lib/state.mjs";
+import { webhooksFromEnv } from "./lib/webhooks.mjs";
+import { readOrderCsv } from "./lib/csv.mjs";
+import { syncOrders } from "./lib/sync.mjs";
+import { formatDiff } from "./lib/diff.mjs";
+
+export async function main(args = parseArgs()){
+  const files = args._;
+  if (!files.length) throw configError("Usage: node drs-import-csv.mjs [--date=YYYY-MM-DD] <file.csv> [...]");
+
+  const { dryRun, fixture } = dryRunFlags(args);
+  const mapping = loadMapping(args.mapping);
+  const reconcile = reconcileConfig(mapping);
+  const state = stateFromEnv();
+  const webhooks = webhooksFromEnv();
+  const sink = sinksFromEnv({ mapping, fixture });
+  const results = [];
+  for (const file of files) {
+    const { date, headers, rows } = await readOrderCsv(file, { date: args.date });
+    const result = await syncOrders(rows, { date, mapping, sink, reconcile, state, webhooks, dryRun });
+    if (dryRun) console.log(`${file}\n${formatDiff(result.diff, result.reconcile)}\n`);
+    results.push({ file, date, headers, ...result });
+  }
+  emit(results);
+  return results;
+}
+
+if (isMain(import.meta)) main().catch(fail);
@@ -1,136 +1,91 @@
 // Pulls JSON from your Cloudflare worker and upserts into Airtable (REST).
+// Same as `drs-sync pull` (shared flags, config file and exit codes: see drs-sync.mjs).
 // Repo Secrets required:
 //   WORKER_URL          = https://<your-worker-subdomain>.workers.dev
+//   WORKER_TOKEN        = the Worker's ACCESS_TOKEN (sent as a Bearer token)
 //   AIRTABLE_API_KEY    = pat.... (scopes: data.records:read, data.records:write)
 //   AIRTABLE_BASE_ID    = appXXXXXXXXXXXXXX
 //   AIRTABLE_TABLE      = Dumpsters  (or your table)
+//   (AIRTABLE_* only with the default SINKS=airtable)
 //
 // Optional:
-//   DATE                = YYYY-MM-DD  (defaults to today UTC)
-//   START / END         = YYYY-MM-DD (use a range instead of DATE)
-//   AT_FIELD_*          = custom Airtable column names (defaults below)
+//   DATE                = YYYY-MM-DD  (defaults to today in DRS_TZ)
+//   START / END         = YYYY-MM-DD (use a range instead of DATE). Each order keeps its own service
+//                         date (the mapping's "date" field); orders without one are skipped and counted
+//                         as "undated" — drs-backfill.mjs walks long ranges day by day instead
+//   WORKER_API          = v1 → read the Worker's normalized /v1/orders (see lib/worker.mjs)
+//   DRS_TZ              = business timezone (default America/Chicago)
+//   MAPPING_FILE        = field mapping config (default mapping.json; or --mapping=path)
+//   LINE_ITEMS          = 1 → one Airtable row per rented container (Order # gets -1, -2, ...)
+//   NORMALIZE           = phone,size,status,address | none (default: the "normalize" section of mapping.json)
+//   PHONE_COUNTRY       = default country for E.164 phones (default US)
+//   RECONCILE           = off | flag | delete: Airtable rows in the range whose order left DRS
+//                         (RECONCILE_FIELD, RECONCILE_VALUE, RECONCILE_MAX_RATIO: see lib/reconcile.mjs)
+//   STATE_FILE          = sync state + change history (default .drs-state/state.json, "off" to disable;
+//                         query it with drs-history.mjs). It saves no Airtable calls: its one effect on
+//                         writes is that a row edited by hand stays as edited until the order changes in
+//                         DRS (with "off" the next run overwrites it, see lib/state.mjs)
+//   ENRICH              = 1 → look up each order's detail record (the Worker's /v1/orders/:id/detail) for
+//                         the fields in mapping.json's "enrich" section (ENRICH_CONCURRENCY, ENRICH_CACHE:
+//                         see lib/enrich.mjs)
+//   SINKS               = airtable (default), sqlite, postgres, csv, xlsx — comma list to write to several
+//                         (SQLITE_FILE, POSTGRES_URL, SHEET_DIR, ...: see lib/sinks.mjs)
+//   WEBHOOK_URLS        = POST order.created / order.status_changed / order.rescheduled events here
+//                         (WEBHOOK_SECRET, WEBHOOK_FORMAT=slack, ...: see lib/webhooks.mjs)
+//   AIRTABLE_RPS / AIRTABLE_RETRIES / AIRTABLE_RETRY_FILE = rate limit, retries on 429/5xx and where
+//                         batches that still fail are parked for the next run (see lib/airtable.mjs)
+//   AT_FIELD_*          = custom Airtable column names (see lib/mapping.mjs)
 //
-// Columns used (override via secrets):
-const F = {
-  date:     process.env.AT_FIELD_DATE     || "Date",
-  customer: process.env.AT_FIELD_CUSTOMER || "Customer",
-  address:  process.env.AT_FIELD_ADDRESS  || "Address",
-  phone:    process.env.AT_FIELD_PHONE    || "Phone",
-  size:     process.env.AT_FIELD_SIZE     || "Dumpster Size",
-  order:    process.env.AT_FIELD_ORDER    || "Order #",
-  status:   process.env.AT_FIELD_STATUS   || "Status",
-  raw:      process.env.AT_FIELD_RAW      || ""   // optional text field to store JSON snapshot
-};
-
-const WORKER_URL = must("WORKER_URL");
-const API_KEY    = must("AIRTABLE_API_KEY");
-const BASE_ID    = must("AIRTABLE_BASE_ID");
-const TABLE      = must("AIRTABLE_TABLE");
-
-const date  = process.env.DATE || ymd();
-const start = process.env.START || date;
-const end   = process.env.END   || date;
-
-(async () => {
-  const u = new URL(WORKER_URL);
-  if (process.env.START || process.env.END) { u.searchParams.set("start", start); u.searchParams.set("end", end); }
-  else { u.searchParams.set("date", date); }
-
-  const r = await fetch(u, { headers: { "Accept":"application/json" } });
-  const body = await r.text();
-  let data = null;
-  try { data = JSON.parse(body); } catch {}
-  if (!r.ok || !data || !Array.isArray(data.orders)) {
-    console.error("Worker failed:", r.status, body.slice(0,500));
-    process.exit(1);
-  }
-
-  const orders = data.orders;
+// Flags:
+//   --dry-run           = print the per-record Airtable diff (table + JSON) without writing
+//   --fixture=file.json = read current Airtable rows from a saved list response (implies --dry-run)
+//
+// Field mapping, normalization and the Airtable writer live in lib/.
 
-  // map each order -> Airtable fields
-  const mapped = orders.map(o => {
-    const flat = flatten(o);
-    const customer = pick(flat, ["customer","customer_name","name","client","contactname"]);
-    const address  = pick(flat, ["delivery_address","address","location","site_address"]);
-    const phone    = pick(flat, ["customer_phone","phone","contact_phone","mobile"]);
-    const size     = pick(flat, ["dumpster_size","size","container_size","bin_size"]);
-    const orderNo  = pick(flat, ["order_id","id","order","number","tracking","ticket_id","invoice_id"]);
-    const status   = pick(flat, ["status","state","order_status"]);
+import { opt, parseArgs, dryRunFlags, configError, fail, isMain, emit } from "./lib/env.mjs";
+import { today, isISODate, eachDay } from "./lib/dates.mjs";
+import { loadMapping } from "./lib/mapping.mjs";
+import { reconcileConfig } from "./lib/reconcile.mjs";
+import { stateFromEnv } from "./lib/state.mjs";
+import { workerFromEnv } from "./lib/worker.mjs";
+import { enricherFromEnv } from "./lib/enrich.mjs";
+import { webhooksFromEnv } from "./lib/webhooks.mjs";
+import { sinksFromEnv } from "./lib/sinks.mjs";
+import { syncOrders } from "./lib/sync.mjs";
+import { formatDiff } from "./lib/diff.mjs";
 
-    const rec = {
-      [F.date]: ymd(new Date(start)),
-      [F.customer]: customer,
-      [F.address]: address,
-      [F.phone]: phone,
-      [F.size]: size,
-      [F.order]: String(orderNo || "").replace(/^#/, ""),
-      [F.status]: status
-    };
-    if (F.raw) rec[F.raw] = JSON.stringify(o);
-    return rec;
-  })
-  // drop blanks (no customer, no address, no order number)
-  .filter(r => (r[F.customer] || r[F.address] || r[F.order]) );
+export async function main(args = parseArgs()){
+  const worker = workerFromEnv();
+  const { dryRun, fixture } = dryRunFlags(args);
+  const mapping = loadMapping(args.mapping);
+  const reconcile = reconcileConfig(mapping);
+  const state = stateFromEnv();
+  const webhooks = webhooksFromEnv();
+  const sink = sinksFromEnv({ mapping, fixture });
 
-  // Upsert by (Date + Order #)
-  let created = 0, updated = 0;
-  for (const rec of mapped) {
-    const key = String(rec[F.order] || "").replace(/'/g, "\\'");
-    const dt  = String(rec[F.date] || "");
-    let id = await findRecord(dt, key);
-    if (id) {
-      await airtableUpdate(id, rec);
-      updated++;
-    } else {
-      await airtableCreate(rec);
-      created++;
-    }
-  }
+  const date  = args.date || opt("DATE") || today();
+  const start = args.start || opt("START") || date;
+  const end   = args.end || opt("END") || date;
+  const ranged = start !== date || end !== date;
+  if (!isISODate(start) || !isISODate(end) || end < start) throw configError(`Bad date range ${start}..${end} (YYYY-MM-DD, start <= end)`);
 
-  console.log(JSON.stringify({
-    fetched: orders.length, kept: mapped.length, created, updated,
-    dateRange: (process.env.START || process.env.END) ? { start, end } : { date },
-    fields: F
-  }, null, 2));
-})().catch(e => { console.error(e); process.exit(1); });
+  let orders = await worker.orders(start, end);
+  const enrich = enricherFromEnv({ mapping, fetchDetail: ({ id }) => worker.detail(id) });
+  let enriched;
+  if (enrich) ({ rows: orders, stats: enriched } = await enrich.rows(orders));
+  // a one-day request is the fallback date for orders without their own
+  const result = await syncOrders(orders, { date: start === end ? start : "", dates: eachDay(start, end), mapping, sink, reconcile, state, webhooks, dryRun });
+  if (dryRun) console.log(formatDiff(result.diff, result.reconcile));
+  if (result.undated) console.warn(`${result.undated} order(s) in ${start}..${end} carry no date of their own and were skipped`);
 
-// ---------- helpers ----------
-function must(k){ const v = process.env[k]; if (!v) { console.error(`Missing ${k}`); process.exit(1); } return v; }
-function ymd(d=new Date()){ const y=d.getUTCFullYear(), m=String(d.getUTCMonth()+1).padStart(2,"0"), da=String(d.getUTCDate()).padStart(2,"0"); return `${y}-${m}-${da}`; }
-function pick(obj, keys){ for (const k of keys){ if (obj[k]) return obj[k]; } return ""; }
-function flatten(obj,prefix="",out={}) {
-  if (obj && typeof obj === "object" && !Array.isArray(obj)) {
-    for (const [k,v] of Object.entries(obj)) flatten(v, k.toLowerCase(), out);
-  } else {
-    out[prefix.toLowerCase()] = obj;
-  }
-  return out;
+  const summary = {
+    ...result,
+    ...(enriched ? { enrich: enriched } : {}),
+    dateRange: ranged ? { start, end } : { date },
+    fields: mapping.names
+  };
+  emit(summary);
+  return summary;
 }
 
-// Airtable REST
-async function findRecord(dateVal, orderNo){
-  if (!orderNo) return null;
-  const formula = encodeURIComponent(`AND({${F.date}}='${dateVal}', {${F.order}}='${orderNo}')`);
-  const url = `https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent(TABLE)}?maxRecords=1&filterByFormula=${formula}`;
-  const r = await fetch(url, { headers: { Authorization: `Bearer ${API_KEY}` }});
-  const j = await r.json();
-  return (j.records && j.records[0] && j.records[0].id) || null;
-}
-async function airtableCreate(fields){
-  const url = `https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent(TABLE)}`;
-  const r = await fetch(url, {
-    method: "POST",
-    headers: { Authorization: `Bearer ${API_KEY}`, "Content-Type":"application/json" },
-    body: JSON.stringify({ records:[{ fields }] })
-  });
-  if (!r.ok) throw new Error(`Airtable create failed ${r.status}: ${await r.text()}`);
-}
-async function airtableUpdate(id, fields){
-  const url = `https://api.airtable.com/v0/${BASE_ID}/${encodeURIComponent(TABLE)}`;
-  const r = await fetch(url, {
-    method: "PATCH",
-    headers: { Authorization: `Bearer ${API_KEY}`, "Content-Type":"application/json" },
-    body: JSON.stringify({ records:[{ id, fields }] })
-  });
-  if (!r.ok) throw new Error(`Airtable update failed ${r.status}: ${await r.text()}`);
-}
+if (isMain(import.meta)) main().catch(fail);
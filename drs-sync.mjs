@@ -0,0 +1,146 @@
+#!/usr/bin/env node
+// One entry point for every job:  drs-sync <command> [flags]   (or: node drs-sync.mjs ..., npm run <command>)
+// Each command is one of the drs-*.mjs scripts, which still run on their own.
+//
+// Settings, strongest first: flags, environment, the config file, built-in defaults.
+// Config file: --config=path, DRS_SYNC_CONFIG, or ./drs-sync.json when it exists. Top-level
+// keys are env var names; a section named after a command applies to that command only:
+//   { "SINKS": "airtable,sqlite", "WORKER_URL": "https://drs.example.workers.dev",
+//     "pull": { "WORKER_API": "v1" }, "export": { "OUT_DIR": "exports" } }
+// Keep secrets (tokens, passwords) in the environment rather than in the file.
+//
+// --json: stdout carries only the command's result document; progress and diffs go to stderr.
+
+import fs from "node:fs";
+import { opt, parseArgs, configError, fail, EXIT } from "./lib/env.mjs";
+
+const COMMANDS = {
+  pull: {
+    file: "./drs-pull.mjs", range: true,
+    about: "Orders from the Cloudflare Worker → sinks",
+    usage: "pull [--date=YYYY-MM-DD | --start=... --end=...] [--dry-run] [--fixture=airtable.json]",
+    env: "WORKER_URL, WORKER_TOKEN, WORKER_API, SINKS (+ AIRTABLE_* ...), ENRICH, RECONCILE, STATE_FILE, WEBHOOK_URLS"
+  },
+  scrape: {
+    file: "./drs-scrape.mjs",
+    about: "Orders from the DRS web order list (headless browser) → sinks",
+    usage: "scrape [--date=YYYY-MM-DD] [--dry-run] [--fixture=airtable.json]",
+    env: "DRS_BASE, DRS_USERNAME, DRS_PASSWORD, DRS_ORDERS_URL, DRS_LOGIN_URL, SINKS (+ AIRTABLE_* ...), ENRICH"
+  },
+  export: {
+    file: "./drs-export-daily.mjs", range: true,
+    about: "DRS \"Export To CSV\" files per day / week / month, optionally imported",
+    usage: "export [--date=... | --start=... --end=...] [--report=name] [--out=dir] [--import [--dry-run]]",
+    env: "DRS_LOGIN_URL, DRS_USERNAME, DRS_PASSWORD, DRS_REPORTS_URL, DRS_REPORT, OUT_DIR, EXPORT_TABS, IMPORT"
+  },
+  "import-csv": {
+    file: "./drs-import-csv.mjs",
+    about: "Exported DRS CSV files → sinks",
+    usage: "import-csv [--date=YYYY-MM-DD] [--dry-run] <file.csv> [...]",
+    env: "SINKS (+ AIRTABLE_* ...), RECONCILE, STATE_FILE, WEBHOOK_URLS"
+  },
+  backfill: {
+    file: "./drs-backfill.mjs", range: true,
+    about: "A long date range from the Worker, chunk by chunk, resumable",
+    usage: "backfill --start=YYYY-MM-DD --end=YYYY-MM-DD [--chunk=days] [--restart] [--dry-run]",
+    env: "WORKER_URL, WORKER_TOKEN, BACKFILL_CHUNK, BACKFILL_CHECKPOINT, SINKS (+ AIRTABLE_* ...)"
+  },
+  history: {
+    file: "./drs-history.mjs",
+    about: "Change history kept in the sync state",
+    usage: "history --order=<Order #> | --date=YYYY-MM-DD",
+    env: "STATE_FILE"
+  },
+  doctor: {
+    file: "./drs-doctor.mjs",
+    about: "Checks the configuration and the Worker, DRS login and Airtable, and says how to fix what's wrong",
+    usage: "doctor [--for=<command>] [--offline] [--date=YYYY-MM-DD]",
+    env: "everything the commands above read"
+  }
+};
+
+const EXIT_HELP = {
+  ok: "success", error: "unexpected error", config: "bad configuration or usage", reconcile: "reconciliation aborted (too many orders would be removed)",
+  credentials: "DRS rejected the username / password", challenge: "DRS asked for a CAPTCHA or verification code", locked: "DRS account locked",
+  maintenance: "DRS maintenance page", login: "DRS login didn't stick", partial: "finished, but part of the work was rejected (e.g. exports failing validation, sink writes that failed)",
+  checks: "doctor found problems"
+};
+
+const args = parseArgs();
+const [name, ...files] = args._;
+
+(async () => {
+  if (!name || name === "help") { console.log(usage(files[0] || (args.help === true ? "" : args.help))); return; }
+  const cmd = COMMANDS[name];
+  if (!cmd) throw configError(`Unknown command "${name}"\n\n${usage()}`);
+  if (args.help) { console.log(usage(name)); return; }
+  if (!cmd.range && (args.start || args.end)) throw configError(`${name} takes --date, not --start / --end\n  drs-sync ${cmd.usage}`);
+
+  const config = loadConfig(typeof args.config === "string" ? args.config : opt("DRS_SYNC_CONFIG"), name);
+  if (config) console.error(`Config: ${config}`);
+  if (args.json) console.log = console.error; // the result goes out through emit() (process.stdout)
+
+  const { main } = await import(cmd.file);
+  await main({ ...args, _: files });
+})().catch(fail);
+
+// ---------- helpers ----------
+// Copies the config file's settings into process.env where the environment has none
+function loadConfig(file, command){
+  const explicit = Boolean(file);
+  file ||= "drs-sync.json";
+  if (!fs.existsSync(file)) {
+    if (explicit) throw configError(`Config file ${file} not found`);
+    return "";
+  }
+  let json;
+  try { json = JSON.parse(fs.readFileSync(file, "utf8")); } catch (e) { throw configError(`Config ${file}: ${e.message}`); }
+  if (!json || typeof json !== "object" || Array.isArray(json)) throw configError(`Config ${file}: must be a JSON object`);
+
+  const errors = [], settings = {};
+  const take = (obj, at) => {
+    for (const [k, v] of Object.entries(obj)) {
+      if (COMMANDS[k] && !at) continue;
+      if (!/^[A-Z][A-Z0-9_]*$/.test(k)) errors.push(`${at}${k}: not a command section or an ENV_NAME`);
+      else if (!["string", "number", "boolean"].includes(typeof v)) errors.push(`${at}${k}: must be a string, number or boolean`);
+      else settings[k] ??= String(v);
+    }
+  };
+  for (const c of Object.keys(COMMANDS)) {
+    if (json[c] == null) continue;
+    if (typeof json[c] !== "object" || Array.isArray(json[c])) errors.push(`${c}: must be an object of settings`);
+    else if (c === command) take(json[c], `${c}.`);
+  }
+  take(json, "");
+  if (errors.length) throw configError(`Config ${file}:\n  ${errors.join("\n  ")}`);
+  for (const [k, v] of Object.entries(settings)) if (!process.env[k]) process.env[k] = v;
+  return file;
+}
+
+function usage(command = ""){
+  const c = COMMANDS[command];
+  if (c) {
+    return [
+      `${c.about}`, "",
+      `Usage: drs-sync ${c.usage} [--config=file] [--mapping=file] [--json]`, "",
+      `Reads: ${c.env}`,
+      `Every setting is described at the top of ${c.file.slice(2)}.`
+    ].join("\n");
+  }
+  const width = Math.max(...Object.keys(COMMANDS).map(k => k.length));
+  return [
+    "Usage: drs-sync <command> [flags]", "",
+    "Commands:",
+    ...Object.entries(COMMANDS).map(([k, v]) => `  ${k.padEnd(width)}  ${v.about}`), "",
+    "Flags:",
+    "  --date=YYYY-MM-DD           one day (default: today in DRS_TZ)",
+    "  --start=... --end=...       a range (pull, export, backfill)",
+    "  --config=file               settings file (default ./drs-sync.json; env vars override it)",
+    "  --mapping=file              field mapping (default mapping.json)",
+    "  --dry-run                   print what would change, write nothing",
+    "  --json                      only the JSON result on stdout",
+    "  --help                      this text; drs-sync <command> --help for one command", "",
+    "Exit codes:",
+    ...Object.entries(EXIT).map(([k, n]) => `  ${String(n).padStart(2)}  ${EXIT_HELP[k]}`)
+  ].join("\n");
+}
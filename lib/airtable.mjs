@@ -0,0 +1,241 @@
+// Airtable sink (see sink.mjs for the interface): upserts logical Orders by (Date + Order #) over the REST API.
+// One paginated list query for all dates touched, then batched POST/PATCH/DELETE
+// (10 records per request, the Airtable max). Records whose fields already
+// match are left alone.
+//
+// plan() computes the per-record diff without writing; apply() performs it.
+// With `fixture` (a saved Airtable list response or array of { id, fields })
+// the current rows come from that file and no API key is needed — only
+// useful together with a dry run.
+//
+// Every request goes through airtableFetch(): at most AIRTABLE_RPS requests per
+// second (default 5, the per-base limit) and up to AIRTABLE_RETRIES retries
+// (default 5) on 429 / 5xx / network errors, honouring Retry-After (Airtable
+// asks for 30s after a 429). A POST is only retried after a 429: after a network
+// error or a 5xx it may have been stored anyway, and sending it again would create
+// the records twice. A write batch that still fails is added to AIRTABLE_RETRY_FILE
+// (default .drs-state/airtable-retry.json), replacing older entries for the same
+// records, and the run goes on; replayRetries() re-sends those batches at the
+// start of the next run, creates only for orders Airtable still doesn't have, and
+// updates / deletes only for records it still has.
+
+import fs from "node:fs";
+import path from "node:path";
+import { must, opt } from "./env.mjs";
+import { keyOf, recordOf, planDiff } from "./sink.mjs";
+
+const RPS      = Number(opt("AIRTABLE_RPS", "5"));
+const RETRIES  = Number(opt("AIRTABLE_RETRIES", "5"));
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+let nextSlot = 0;
+async function throttle(){
+  const now = Date.now(), wait = Math.max(0, nextSlot - now);
+  nextSlot = Math.max(now, nextSlot) + 1000 / RPS;
+  if (wait) await sleep(wait);
+}
+
+// fetch + JSON with the rate limit and retry policy above; throws on final failure
+export async function airtableFetch(url, init = {}, what = init.method || "GET"){
+  for (let attempt = 0; ; attempt++) {
+    await throttle();
+    let r = null, err = null;
+    try { r = await fetch(url, init); } catch (e) { err = e; }
+    if (r && r.ok) return r.json();
+    const retryable = r?.status === 429 || (init.method !== "POST" && (!r || r.status >= 500));
+    if (!retryable || attempt >= RETRIES) {
+      const e = new Error(`Airtable ${what} failed ${r ? r.status : "(network)"}: ${r ? await r.text() : err.message}`);
+      e.status = r?.status || 0;
+      throw e;
+    }
+    const after = Number(r?.headers.get("retry-after"));
+    await sleep(after > 0 ? after * 1000 : r?.status === 429 ? 30000 : 1000 * 2 ** attempt);
+  }
+}
+
+// AIRTABLE_API_KEY / AIRTABLE_BASE_ID / AIRTABLE_TABLE, or AIRTABLE_FIXTURE / --fixture
+export function airtableFromEnv({ mapping, fixture = opt("AIRTABLE_FIXTURE") }){
+  if (fixture) return airtableSink({ mapping, fixture, table: opt("AIRTABLE_TABLE", "fixture") });
+  return airtableSink({ mapping, apiKey: must("AIRTABLE_API_KEY"), baseId: must("AIRTABLE_BASE_ID"), table: must("AIRTABLE_TABLE") });
+}
+
+// mapping: see loadMapping() in mapping.mjs
+export function airtableSink({ apiKey, baseId, table, mapping, fixture = "" }){
+  const url = `https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}`;
+  const auth = { Authorization: `Bearer ${apiKey}` };
+  const fields = mapping.names;
+  const retryFile = opt("AIRTABLE_RETRY_FILE", ".drs-state/airtable-retry.json");
+
+  const toFields = o => recordOf(o, mapping);
+  // a blank cell goes out as null (cleared): "" is rejected by number, date and checkbox columns
+  const cells = f => Object.fromEntries(Object.entries(f).map(([k, v]) => [k, v === "" ? null : v]));
+
+  // Map("date|order" → { id, fields }) for every record on the given dates
+  async function list(dates){
+    const out = new Map();
+    const add = rec => {
+      const f = rec.fields || {};
+      const key = keyOf(f[fields.date], f[fields.order]);
+      if (f[fields.order] && !out.has(key)) out.set(key, { id: rec.id, fields: f });
+    };
+    if (fixture) {
+      const j = JSON.parse(fs.readFileSync(fixture, "utf8"));
+      for (const rec of Array.isArray(j) ? j : j.records || []) if (dates.includes(rec.fields?.[fields.date])) add(rec);
+      return out;
+    }
+    const clauses = dates.map(d => `{${fields.date}}='${d}'`);
+    const formula = clauses.length === 1 ? clauses[0] : `OR(${clauses.join(",")})`;
+    let offset = "";
+    do {
+      const u = new URL(url);
+      u.searchParams.set("filterByFormula", formula);
+      u.searchParams.set("pageSize", "100");
+      if (offset) u.searchParams.set("offset", offset);
+      const j = await airtableFetch(u, { headers: auth }, "list");
+      for (const rec of j.records || []) add(rec);
+      offset = j.offset || "";
+    } while (offset);
+    return out;
+  }
+
+  // Sends diff entries in chunks of 10. A chunk that still fails after retries marks
+  // its entries `failed` and `parked` and goes to the retry file instead of aborting the run.
+  async function send(method, entries, failures){
+    if (fixture && entries.length) throw new Error("Airtable fixture is read-only: use it with --dry-run");
+    let done = 0;
+    for (let i = 0; i < entries.length; i += 10) {
+      const chunk = entries.slice(i, i + 10);
+      const op = method === "DELETE"
+        ? { method, ids: chunk.map(d => d.id) }
+        : { method, records: chunk.map(d => (d.id ? { id: d.id, fields: cells(d.fields) } : { fields: cells(d.fields) })) };
+      try {
+        done += ((await sendOp(op)).records || []).length;
+      } catch (e) {
+        for (const d of chunk) { d.failed = e.message; d.parked = true; }
+        failures.push({ at: new Date().toISOString(), table, ...op, error: e.message });
+      }
+    }
+    return done;
+  }
+
+  function sendOp(op){
+    if (op.method === "DELETE") {
+      const u = new URL(url);
+      for (const id of op.ids) u.searchParams.append("records[]", id);
+      return airtableFetch(u, { method: "DELETE", headers: auth });
+    }
+    return airtableFetch(url, {
+      method: op.method,
+      headers: { ...auth, "Content-Type": "application/json" },
+      body: JSON.stringify({ records: op.records })
+    });
+  }
+
+  // Which record an item of a stored batch is about: creates by Date + Order #, the rest by id
+  const itemKey = (op, item) => (op.method === "DELETE" ? `id:${item}` : item.id ? `id:${item.id}` : keyOf(item.fields[fields.date], item.fields[fields.order]));
+
+  // Failed batches in order; a record that failed again leaves only its latest batch
+  function mergeFailures(ops){
+    const out = [];
+    for (const op of ops) {
+      const items = op.ids || op.records;
+      const mine = new Set(items.map(i => `${op.table}\n${itemKey(op, i)}`));
+      for (let j = out.length - 1; j >= 0; j--) {
+        const prev = out[j], key = prev.ids ? "ids" : "records";
+        const left = prev[key].filter(i => !mine.has(`${prev.table}\n${itemKey(prev, i)}`));
+        if (!left.length) out.splice(j, 1); else out[j] = { ...prev, [key]: left };
+      }
+      out.push(op);
+    }
+    return out;
+  }
+
+  // Re-sends batches left in the retry file by earlier runs; keeps what still fails.
+  // Creates are checked against Airtable first, so one that was stored after all isn't sent twice.
+  // An update / delete of a record deleted in Airtable since fails the whole batch with a 404 / 422
+  // on every try: those records are dropped (counted in `dropped`) and the rest is sent again.
+  async function replayRetries(file = retryFile){
+    if (fixture || !fs.existsSync(file)) return { replayed: 0, stillFailing: 0, dropped: 0 };
+    const pending = mergeFailures(JSON.parse(fs.readFileSync(file, "utf8")).failed || []);
+    const keep = [];
+    let replayed = 0, dropped = 0;
+    for (const op of pending) {
+      if (op.table !== table) { keep.push(op); continue; }
+      let left = op;
+      try {
+        try {
+          if (op.method === "POST") {
+            const have = await list([...new Set(op.records.map(r => r.fields[fields.date]))]);
+            const records = op.records.filter(r => !have.has(itemKey(op, r)));
+            if (records.length) await sendOp({ ...op, records });
+          } else await sendOp(op);
+        } catch (e) {
+          if (op.method === "POST" || ![404, 422].includes(e.status)) throw e;
+          const gone = await missing(op);
+          if (!gone.size) throw e;
+          dropped += gone.size;
+          left = without(op, gone);
+          if (!left) continue;
+          await sendOp(left);
+        }
+        replayed++;
+      }
+      catch (e) { keep.push({ ...left, error: e.message, retriedAt: new Date().toISOString() }); }
+    }
+    writeRetryFile(file, keep);
+    return { replayed, stillFailing: keep.filter(op => op.table === table).length, dropped };
+  }
+
+  // Set of the batch's record ids Airtable no longer has (a read of each answers 404)
+  async function missing(op){
+    const gone = new Set();
+    for (const id of op.ids || op.records.map(r => r.id)) {
+      try { await airtableFetch(`${url}/${encodeURIComponent(id)}`, { headers: auth }, "read"); }
+      catch (e) { if (e.status === 404) gone.add(id); else throw e; }
+    }
+    return gone;
+  }
+
+  // Per-record diff of orders against Airtable for `dates` (defaults to the dates the
+  // orders carry), see planDiff() in sink.mjs.
+  // orders must already be keyed (see withKey in order.mjs) and de-duplicated.
+  async function plan(orders, dates = [...new Set(orders.map(o => o.date))]){
+    if (!dates.length) return [];
+    return planDiff(orders, await list(dates), mapping);
+  }
+
+  async function apply(diff){
+    const of = a => diff.filter(d => d.action === a);
+    const failures = [];
+    const created = await send("POST", of("create"), failures);
+    const updated = await send("PATCH", of("update"), failures);
+    const flagged = await send("PATCH", of("flag"), failures);
+    const deleted = await send("DELETE", of("delete"), failures);
+    if (failures.length) {
+      const prev = fs.existsSync(retryFile) ? JSON.parse(fs.readFileSync(retryFile, "utf8")).failed || [] : [];
+      writeRetryFile(retryFile, mergeFailures([...prev, ...failures]));
+    }
+    const failed = diff.filter(d => d.failed).length;
+    return { created, updated, flagged, deleted, failed, ...(failed ? { retryFile } : {}) };
+  }
+
+  async function upsert(orders, dates){
+    const diff = await plan(orders, dates);
+    return { ...(await apply(diff)), unchanged: diff.filter(d => d.action === "unchanged").length };
+  }
+
+  return { name: "airtable", table, fields, toFields, list, plan, apply, upsert, replayRetries };
+}
+
+// A stored batch without the records in `ids` (null when nothing is left)
+function without(op, ids){
+  const key = op.ids ? "ids" : "records";
+  const left = op[key].filter(i => !ids.has(op.ids ? i : i.id));
+  return left.length ? { ...op, [key]: left } : null;
+}
+
+function writeRetryFile(file, failed){
+  if (!failed.length) { fs.rmSync(file, { force: true }); return; }
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify({ failed }, null, 2), "utf8");
+}
@@ -0,0 +1,163 @@
+// Shared Playwright session for the DRS web UI (drs-scrape.mjs, drs-export-daily.mjs).
+//   openSession()  → browser + context, reusing the saved login (storageState) while it is fresh,
+//                    with a trace and a HAR recorded so a failure can be replayed
+//   login()        → reuses the session if DRS still accepts it, else signs in and saves it;
+//                    failures are classified and carry their own exit code (LOGIN_EXIT)
+//   capture(tag)   → screenshot + HTML + trace.zip + HAR into the artifacts dir (call on failure)
+//   close()        → closes the browser and drops the trace/HAR of a run that went fine
+//
+//   DRS_SESSION_FILE     = saved login (default .drs-state/drs-session.json; "off" = log in every run)
+//   DRS_SESSION_MAX_AGE  = hours a saved login is trusted before signing in again (default 12)
+//   DRS_ARTIFACTS        = where capture() writes (default /tmp)
+//   DRS_TRACE            = 0 → no trace/HAR recording
+//
+// Credentials never reach the HAR: the password, cookies and authorization headers are
+// scrubbed from it. Tracing is paused while the password is typed, but a trace's network
+// log still holds the session cookie, so trace.zip stays local (the workflows don't upload it).
+
+import fs from "node:fs/promises";
+import path from "node:path";
+import { opt, EXIT } from "./env.mjs";
+import { loginPage } from "./pages.mjs";
+
+// exit codes for login failures (see EXIT in env.mjs for the rest)
+export const LOGIN_EXIT = { credentials: EXIT.credentials, challenge: EXIT.challenge, locked: EXIT.locked, maintenance: EXIT.maintenance, login: EXIT.login };
+
+export function loginError(kind, message){ const e = new Error(message); e.kind = kind; e.exitCode = LOGIN_EXIT[kind]; return e; }
+
+export async function openSession({ headless = true, contextOptions = {}, artifacts = opt("DRS_ARTIFACTS", "/tmp"), tag = "drs" } = {}){
+  const { chromium } = await import("playwright");
+  const file = opt("DRS_SESSION_FILE", ".drs-state/drs-session.json");
+  const maxAge = Number(opt("DRS_SESSION_MAX_AGE", "12")) * 3600000;
+  const record = opt("DRS_TRACE", "1") !== "0";
+  const har = path.join(artifacts, `${tag}.har`);
+
+  let storageState;
+  if (file !== "off") {
+    const st = await fs.stat(file).catch(() => null);
+    if (st && Date.now() - st.mtimeMs < maxAge) storageState = file;
+  }
+  await fs.mkdir(artifacts, { recursive: true });
+  const browser = await chromium.launch({ headless });
+  const ctx = await browser.newContext({ ...contextOptions, ...(storageState ? { storageState } : {}), ...(record ? { recordHar: { path: har, content: "omit" } } : {}) });
+  let tracing = false;
+  const trace = async on => {
+    if (!record || on === tracing) return;
+    if (on) await ctx.tracing.start({ screenshots: true, snapshots: true }); else await ctx.tracing.stop();
+    tracing = on;
+  };
+  await trace(true);
+  const page = await ctx.newPage();
+  const s = { browser, ctx, page, file, reused: Boolean(storageState), secret: "" };
+
+  s.saveLogin = async () => { if (file === "off") return; await fs.mkdir(path.dirname(file), { recursive: true }); await ctx.storageState({ path: file }); };
+  s.forgetLogin = () => fs.rm(file, { force: true });
+  s.pauseTrace = () => trace(false);
+  s.resumeTrace = () => trace(true);
+
+  s.snapshot = async name => {
+    try {
+      const png = path.join(artifacts, `${name}.png`), html = path.join(artifacts, `${name}.html`);
+      await page.screenshot({ path: png, fullPage: true });
+      await fs.writeFile(html, await page.content(), "utf8");
+      console.log(`SNAPSHOT: wrote ${png} and ${html}`);
+    } catch (e) { console.log(`SNAPSHOT failed: ${String(e)}`); }
+  };
+
+  s.capture = async name => {
+    await s.snapshot(name);
+    if (!record) return;
+    try {
+      const zip = path.join(artifacts, `${name}-trace.zip`);
+      if (tracing) { await ctx.tracing.stop({ path: zip }); tracing = false; console.log(`TRACE: wrote ${zip} (npx playwright show-trace ${zip})`); }
+    } catch (e) { console.log(`TRACE failed: ${String(e)}`); }
+    await ctx.close().catch(() => {}); // the HAR is written when the context closes
+    if (await scrub(har, s.secret)) console.log(`HAR: wrote ${har}`);
+    s.captured = true;
+  };
+
+  s.close = async () => {
+    if (!s.captured) {
+      await trace(false).catch(() => {});
+      await ctx.close().catch(() => {});
+      await fs.rm(har, { force: true });
+    }
+    await browser.close().catch(() => {});
+  };
+  return s;
+}
+
+// Where the DRS sign-in form may live: DRS_LOGIN_URL first, then the usual paths under DRS_BASE
+export function loginUrls({ base = "", loginUrl = "" }){
+  const b = base.replace(/\/+$/, "");
+  return [loginUrl, ...(b ? ["/login/", "/users/login/", "/account/login/", "/admin/login/", "/"].map(p => b + p) : [])].filter(Boolean);
+}
+
+// Logs in unless the saved session still works. urls: login pages to try in order
+// (the first one showing the login form is used); checkUrl: a page that needs a login.
+export async function login(s, { urls, user, pass, checkUrl }){
+  const { page } = s;
+  const form = loginPage(page);
+  s.secret = pass;
+  if (s.reused && checkUrl) {
+    const kind = await form.state(await page.goto(checkUrl, { waitUntil: "domcontentloaded" }));
+    if (kind === "maintenance") throw loginError(kind, `${MESSAGES[kind]} (${page.url()})`);
+    if (!kind && !(await form.hasPassword())) return { reused: true, url: page.url() };
+    await s.forgetLogin();
+  }
+
+  for (const url of urls.filter(Boolean)) {
+    const before = await form.state(await page.goto(url, { waitUntil: "domcontentloaded" }));
+    if (before === "maintenance") throw loginError(before, `${MESSAGES[before]} (${page.url()})`);
+    if (!(await form.fields())) {
+      if (s.reused && !checkUrl && !(await form.hasPassword())) return { reused: true, url: page.url() }; // nothing to check against: no form = still signed in
+      continue;
+    }
+
+    await s.pauseTrace();
+    await form.submit(user, pass);
+    await s.resumeTrace();
+
+    const kind = await form.state(null);
+    if (kind) throw loginError(kind, `${MESSAGES[kind]} (${page.url()})`);
+    if (checkUrl) {
+      const after = await form.state(await page.goto(checkUrl, { waitUntil: "domcontentloaded" }));
+      if (after || await form.hasPassword()) throw loginError(after || "login", `${MESSAGES[after || "login"]} (${page.url()})`);
+    }
+    await s.saveLogin();
+    return { reused: false, url };
+  }
+  throw loginError("login", `No login form found at ${urls.filter(Boolean).join(", ")}`);
+}
+
+const MESSAGES = {
+  credentials: "DRS rejected the username/password",
+  challenge: "DRS asks for a CAPTCHA or a verification code, which a headless run cannot answer",
+  locked: "DRS says the account is locked or disabled",
+  maintenance: "DRS shows a maintenance page",
+  login: "Login did not stick: DRS still shows the login form"
+};
+
+// HARs keep request bodies (the login POST carries the password) and every header: the
+// session cookie stays valid for hours, so it goes too, wherever else its value shows up.
+// A HAR that can't be read as one is deleted rather than left unscrubbed; → whether one is left.
+const SECRET_HEADERS = ["cookie", "set-cookie", "authorization", "proxy-authorization"];
+async function scrub(file, secret){
+  try {
+    const har = JSON.parse(await fs.readFile(file, "utf8"));
+    const values = new Set(secret ? [secret, encodeURIComponent(secret), encodeURIComponent(secret).replace(/%20/g, "+"), JSON.stringify(secret).slice(1, -1)] : []);
+    for (const { request, response } of har.log?.entries || []) {
+      for (const m of [request, response].filter(Boolean)) {
+        for (const c of m.cookies || []) { if (String(c.value || "").length >= 8) values.add(String(c.value)); c.value = "[redacted]"; }
+        for (const h of m.headers || []) if (SECRET_HEADERS.includes(String(h.name).toLowerCase())) h.value = "[redacted]";
+      }
+    }
+    let txt = JSON.stringify(har, null, 2);
+    for (const v of values) txt = txt.split(v).join("[redacted]");
+    await fs.writeFile(file, txt, "utf8");
+    return true;
+  } catch (e) {
+    if (e.code !== "ENOENT") await fs.rm(file, { force: true });
+    return false;
+  }
+}
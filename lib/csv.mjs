@@ -0,0 +1,72 @@
+// CSV reader for the DRS "Order List" export (RFC 4180):
+// quoted fields, "" escapes, embedded CR/LF inside quotes, CRLF or LF line
+// endings and a leading UTF-8 BOM.
+
+import fs from "node:fs/promises";
+import path from "node:path";
+
+// text → array of rows (arrays of strings); fully blank lines are skipped
+export function parseCSV(text){
+  const s = String(text).replace(/^﻿/, "");
+  const rows = [];
+  let row = [], field = "", quoted = false;
+  for (let i = 0; i < s.length; i++) {
+    const c = s[i];
+    if (quoted) {
+      if (c === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (c === '"') quoted = false;
+      else field += c;
+    } else if (c === '"' && field === "") quoted = true;
+    else if (c === ",") { row.push(field); field = ""; }
+    else if (c === "\n" || c === "\r") {
+      if (c === "\r" && s[i + 1] === "\n") i++;
+      row.push(field); field = "";
+      if (row.some(v => v !== "")) rows.push(row);
+      row = [];
+    }
+    else field += c;
+  }
+  row.push(field);
+  if (row.some(v => v !== "")) rows.push(row);
+  return rows;
+}
+
+// First row is the header; returns { headers, rows: [{ Header: value, ... }] }
+export function csvObjects(text){
+  const [headers = [], ...body] = parseCSV(text);
+  const names = headers.map((h, i) => h.trim() || `col${i + 1}`);
+  const rows = body.map(cells => {
+    const row = {};
+    names.forEach((h, i) => { row[h] = (cells[i] ?? "").trim(); });
+    for (let i = names.length; i < cells.length; i++) row[`col${i + 1}`] = cells[i].trim();
+    return row;
+  });
+  return { headers: names, rows };
+}
+
+// Reads an exported file; the date comes from DRS-Daily-YYYY-MM-DD.csv unless given
+export async function readOrderCsv(file, { date } = {}){
+  const { headers, rows } = csvObjects(await fs.readFile(file, "utf8"));
+  const m = path.basename(file).match(/(\d{4}-\d{2}-\d{2})/);
+  const d = date || (m && m[1]);
+  if (!d) throw new Error(`No date for ${file}: pass --date=YYYY-MM-DD or keep the DRS-Daily-YYYY-MM-DD.csv name`);
+  return { file, date: d, headers, rows };
+}
+
+// Validates a downloaded export before anything trusts it. `require` lists the
+// columns that must be present as [label, candidates], a candidate being a
+// header name (compared case- and punctuation-insensitively) or a 1-based index.
+// → { ok, error?, headers, rows } — rows is the number of data rows
+export function checkOrderCsv(text, { require = [] } = {}){
+  const s = String(text).replace(/^﻿/, "");
+  const head = s.slice(0, 2048);
+  if (!s.trim()) return { ok: false, error: "empty file", headers: [], rows: 0 };
+  if (/^\s*<(?:!doctype|html|head|body|\?xml)|<(?:html|form|script)[\s>]/i.test(head)) return { ok: false, error: "HTML page, not CSV (expired login or error page?)", headers: [], rows: 0 };
+  const { headers, rows } = csvObjects(s);
+  if (headers.length < 2) return { ok: false, error: `no CSV header row (first line: ${JSON.stringify(head.split(/\r?\n/)[0].slice(0, 120))})`, headers, rows: 0 };
+  const norm = h => String(h).toLowerCase().replace(/[^a-z0-9]+/g, "");
+  const have = new Set(headers.map(norm));
+  const missing = require.filter(([, cands]) => !cands.some(c => typeof c === "number" ? c <= headers.length : have.has(norm(c)))).map(([label]) => label);
+  if (missing.length) return { ok: false, error: `header is missing ${missing.join(", ")} (got: ${headers.join(", ")})`, headers, rows: rows.length };
+  return { ok: true, headers, rows: rows.length };
+}
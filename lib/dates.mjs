@@ -0,0 +1,23 @@
+// Date utilities. Everything is a plain "YYYY-MM-DD" string in the DRS business
+// timezone (DRS_TZ, default America/Chicago) so the hourly runner (UTC) and a
+// laptop agree on what "today" is.
+
+export const TZ = process.env.DRS_TZ || "America/Chicago";
+
+// Calendar date of `d` in `tz` → "YYYY-MM-DD"
+export function ymd(d = new Date(), tz = TZ){
+  return new Intl.DateTimeFormat("en-CA", { timeZone: tz, year: "numeric", month: "2-digit", day: "2-digit" }).format(d);
+}
+export function today(tz = TZ){ return ymd(new Date(), tz); }
+
+export function isISODate(s){ return /^\d{4}-\d{2}-\d{2}$/.test(String(s || "")); }
+export function isoToMDY(s){ const m = String(s).match(/^(\d{4})-(\d{2})-(\d{2})$/); if (!m) return s; return `${m[2]}/${m[3]}/${m[1]}`; }
+
+// Inclusive list of ISO days between start and end
+export function eachDay(start, end){
+  const out = [];
+  for (let t = Date.parse(start + "T00:00:00Z"), stop = Date.parse(end + "T00:00:00Z"); t <= stop; t += 86400000) {
+    out.push(new Date(t).toISOString().slice(0, 10));
+  }
+  return out;
+}
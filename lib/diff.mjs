@@ -0,0 +1,24 @@
+// Plain-text rendering of a sink plan (see planDiff() in sink.mjs) for --dry-run.
+// Unchanged records are counted, not listed; a fanned-out plan gets a SINK column.
+
+export function formatDiff(diff, reconcile = {}){
+  const lines = [];
+  const fan = diff.some(d => d.sink);
+  const row = (sink, cells) => (fan ? [sink, ...cells] : cells);
+  const rows = [row("SINK", ["ACTION", "DATE", "ORDER", "FIELD", "CURRENT", "NEW"])];
+  for (const d of diff) {
+    if (d.action === "unchanged") continue;
+    const changes = Object.entries(d.changes || {});
+    if (!changes.length) { rows.push(row(d.sink, [d.action, d.date, d.order, "", "", ""])); continue; }
+    changes.forEach(([field, [from, to]], i) => rows.push(i ? row("", ["", "", "", field, from, to]) : row(d.sink, [d.action, d.date, d.order, field, from, to])));
+  }
+  const cut = s => { s = String(s ?? "").replace(/\s+/g, " "); return s.length > 40 ? s.slice(0, 39) + "…" : s; };
+  const width = rows[0].map((_, c) => Math.max(...rows.map(r => cut(r[c]).length)));
+  for (const r of rows) lines.push(r.map((v, c) => cut(v).padEnd(width[c])).join("  ").trimEnd());
+
+  const n = a => diff.filter(d => d.action === a).length;
+  const extra = ["flag", "delete"].filter(n).map(a => `  ${a} ${n(a)}`).join("");
+  lines.push("", `create ${n("create")}  update ${n("update")}  unchanged ${n("unchanged")}${extra}  orphan ${n("orphan")} (in the sink, not in source, left alone)`);
+  if (reconcile.aborted) lines.push(`reconcile (${reconcile.mode}) aborted: ${reconcile.aborted}`);
+  return lines.join("\n");
+}
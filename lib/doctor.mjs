@@ -0,0 +1,144 @@
+// Live checks for drs-doctor.mjs: each probe talks to the real service and either
+// returns a one-line result or throws problem(message, fix).
+//   probeWorker()     one uncached day through the Worker with ?debug=1, so a Worker that
+//                     can't reach DRS shows why (its non-debug answer is a quiet
+//                     { orders: [], source: "no-array" })
+//   probeLogin()      the DRS web login through the shared browser session (needs Playwright)
+//   airtableTable()   the table from the metadata API (token scope schema.bases:read)
+//   fieldChecks()     every mapped column exists there with a type our text values fit
+//   probeSink()       a read of one day from any other sink (connects to Postgres, opens files)
+
+import { today } from "./dates.mjs";
+import { airtableFetch } from "./airtable.mjs";
+import { openSession, login } from "./browser.mjs";
+import { normKey } from "./mapping.mjs";
+
+export function problem(message, fix){ const e = new Error(message); e.fix = fix; return e; }
+
+// the keys pickArray() in worker.js looks under; a 200 answer with none of them wasn't an order list
+const ARRAY_KEYS = ["orders", "order", "rows", "data", "results", "baskets", "basket", "list", "items"];
+
+export async function probeWorker({ url, token, date = today() }){
+  const u = new URL(url);
+  u.searchParams.set("date", date);
+  u.searchParams.set("debug", "1");
+  let r;
+  try { r = await fetch(u, { headers: { "Accept": "application/json", "Authorization": `Bearer ${token}` }, signal: AbortSignal.timeout(30000) }); }
+  catch (e) { throw problem(`Worker unreachable: ${e.cause?.code || e.message}`, "check WORKER_URL and that the Worker is deployed (wrangler deploy)"); }
+  const body = await r.text();
+  let data = null;
+  try { data = JSON.parse(body); } catch {}
+
+  if (r.status === 401) throw problem(`Worker refused WORKER_TOKEN: ${data?.error || r.status}`, "WORKER_TOKEN must equal the Worker's ACCESS_TOKEN (wrangler secret put ACCESS_TOKEN)");
+  if (!data) throw problem(`${u.origin} answered ${r.status} without JSON (${(r.headers.get("content-type") || "no content-type").split(";")[0]})`, "WORKER_URL doesn't point at this repo's worker.js");
+  if (/missing DRS_/.test(data.error || "")) throw problem(data.error, "set the Worker's secrets: wrangler secret put DRS_BASE / DRS_DEV_KEY / DRS_API_TOKEN");
+  if (Array.isArray(data.orders) && data.orders.length) return `${data.orders.length} order(s) for ${date} via ${data.source}`;
+  if (data.source === "no-array") throw problem(`Worker answered 200 with no orders array (source "no-array"): DRS rejected every request`, "check the Worker's DRS_BASE / DRS_DEV_KEY / DRS_API_TOKEN secrets; a Worker from this repo explains more with ?debug=1");
+
+  const d = data.diagnostics;
+  if (!d) throw problem(`Worker answered ${r.status}: ${data.error || body.slice(0, 120)}`, "redeploy worker.js from this repo");
+  const at = `${d.mode || "no request"} ${d.url || ""}`.trim();
+  if (!d.status) throw problem(`The Worker couldn't reach DRS (${at})`, "check the Worker's DRS_BASE (https://<your DRS site>, no path)");
+  if (d.status === 401 || d.status === 403) throw problem(`DRS refused the Worker's credentials: ${d.status} (${at})`, "check the Worker's DRS_DEV_KEY and DRS_API_TOKEN secrets");
+  if (d.status !== 200 || !d.ct.includes("json")) throw problem(`DRS answered ${d.status} ${d.ct.split(";")[0] || "(no content-type)"} (${at}): ${d.head.slice(0, 120)}`, d.status === 404 ? "check the Worker's DRS_BASE: the DRS API isn't under it" : "check that DRS is up and DRS_BASE is the right site");
+  if (d.keys.length && !d.keys.some(k => ARRAY_KEYS.includes(k))) throw problem(`DRS answered 200 without an order list (keys: ${d.keys.join(", ")})`, "usually wrong DRS_DEV_KEY / DRS_API_TOKEN on the Worker; the answer was: " + d.head.slice(0, 120));
+  return `authenticated (${d.mode}); DRS has no orders for ${date} — --date=<a busy day> proves more`;
+}
+
+const LOGIN_FIX = {
+  credentials: "check DRS_USERNAME / DRS_PASSWORD by signing in by hand",
+  challenge: "sign in by hand once from the same network; a saved session (DRS_SESSION_FILE) avoids further challenges",
+  locked: "have a DRS admin unlock the account",
+  maintenance: "DRS is down for maintenance; try again later",
+  login: "point DRS_LOGIN_URL at the page with the sign-in form"
+};
+
+export async function probeLogin({ urls, user, pass, checkUrl }){
+  let s;
+  try { s = await openSession({ tag: "drs-doctor" }); }
+  catch (e) { throw problem(`No browser: ${e.message.split("\n")[0]}`, "npm install && npx playwright install chromium (or --offline to skip the live checks)"); }
+  try {
+    const how = await login(s, { urls, user, pass, checkUrl });
+    return how.reused ? `saved session still accepted at ${how.url} (DRS_SESSION_FILE=off re-tests the password)` : `signed in at ${how.url}`;
+  } catch (e) {
+    await s.capture("doctor-login-failed");
+    throw e.kind ? problem(e.message, LOGIN_FIX[e.kind]) : e;
+  } finally {
+    await s.close();
+  }
+}
+
+// → { id, name, fields: [{ name, type, options }] }; table is a name or a tbl... id
+export async function airtableTable({ apiKey, baseId, table }){
+  const auth = { headers: { "Authorization": `Bearer ${apiKey}` } };
+  let meta;
+  try { meta = await airtableFetch(`https://api.airtable.com/v0/meta/bases/${baseId}/tables`, auth, "schema read"); }
+  catch (e) {
+    if (e.status === 401) throw problem("Airtable rejected AIRTABLE_API_KEY", "create a personal access token at airtable.com/create/tokens");
+    if (e.status === 404) throw problem(`Airtable base ${baseId} not found`, "AIRTABLE_BASE_ID is the app... part of the base's URL");
+    if (e.status !== 403) throw e;
+    // no schema scope (or no access to the base): a record read still tells whether the table is there
+    try { await airtableFetch(`https://api.airtable.com/v0/${baseId}/${encodeURIComponent(table)}?maxRecords=1`, auth, "list"); }
+    catch (e2) { throw problem(`Airtable won't show base ${baseId} or table "${table}" to this token (${e2.status})`, "give the token access to the base, with the scopes data.records:read, data.records:write and schema.bases:read"); }
+    throw problem(`Table "${table}" is readable, but the token can't read the schema, so columns weren't checked`, "add the schema.bases:read scope to the token");
+  }
+  const hit = meta.tables.find(t => t.id === table || t.name === table);
+  if (hit) return hit;
+  const near = meta.tables.find(t => normKey(t.name) === normKey(table));
+  throw problem(`No table "${table}" in base ${baseId} (has: ${meta.tables.map(t => t.name).join(", ")})`, `set AIRTABLE_TABLE to ${near ? `"${near.name}"` : "one of those"} (a tbl... id works too)`);
+}
+
+// Column types a string value can be written to as is
+const TEXT = ["singleLineText", "multilineText", "richText", "email", "url", "phoneNumber"];
+const DATES = ["date", "dateTime"];
+const NUMBERS = ["number", "currency", "percent"];
+const COMPUTED = ["formula", "rollup", "lookup", "multipleLookupValues", "count", "autoNumber", "createdTime", "lastModifiedTime", "createdBy", "lastModifiedBy", "button"];
+
+// [{ name, ok, warn?, detail, fix? }] for every mapped column (+ the raw column and an own reconcile field)
+export function fieldChecks(table, mapping, reconcile){
+  const byName = new Map(table.fields.map(f => [f.name, f]));
+  const isDate = key => key === "date" || [mapping.fields[key]?.transform, mapping.enrich.fields[key]?.transform].some(t => t?.includes("date"));
+  // the size step's numeric yards (see normalize.mjs) are written as a number
+  const isNumber = key => Boolean(mapping.normalize.size) && key === (mapping.normalize.size.yardsKey || "size_yards");
+  const flag = name => (reconcile.mode === "flag" && reconcile.field === name ? { value: reconcile.value } : {});
+  const wanted = [
+    ...Object.entries(mapping.names).map(([key, name]) => ({ name, key, date: isDate(key), number: isNumber(key), env: `AT_FIELD_${key.toUpperCase()}`, ...flag(name) })),
+    ...(mapping.raw ? [{ name: mapping.raw, key: "raw", long: true, env: "AT_FIELD_RAW" }] : []),
+    ...(reconcile.mode === "flag" && reconcile.own ? [{ name: reconcile.field, key: "reconcile", value: reconcile.value, env: "RECONCILE_FIELD" }] : [])
+  ];
+
+  return wanted.map(w => {
+    const name = `column ${w.name}`, f = byName.get(w.name);
+    if (!f) {
+      const near = table.fields.find(x => normKey(x.name) === normKey(w.name) || normKey(x.name) === normKey(w.key));
+      return { name, ok: false, detail: `not in table "${table.name}"`, fix: near ? `set ${w.env}="${near.name}"` : `add a "${w.name}" column (${kindOf(w)}), or set ${w.env} to the column to use` };
+    }
+    const fit = fitOf(f, w);
+    return { name, ok: !fit.bad, ...(fit.warn ? { warn: true } : {}), detail: `${f.type}${fit.note ? `: ${fit.note}` : ""}`, ...(fit.bad ? { fix: fit.fix } : {}) };
+  });
+}
+
+function kindOf(w){ return typeof w.value === "boolean" ? "checkbox" : w.long ? "long text" : w.date ? "date or text" : w.number ? "number" : "text"; }
+
+function fitOf(f, w){
+  const text = `make it a text column, or point ${w.env} at one`;
+  if (COMPUTED.includes(f.type)) return { bad: true, note: "computed by Airtable, can't be written", fix: text };
+  if (w.number) return NUMBERS.includes(f.type) ? {} : { bad: true, note: "gets a number (the yards of the size)", fix: `make it a Number column, or point ${w.env} at one` };
+  if (typeof w.value === "boolean") return f.type === "checkbox" ? {} : { bad: true, note: `RECONCILE_VALUE=${w.value} needs a checkbox`, fix: "make it a checkbox, or set RECONCILE_VALUE to a text" };
+  if (w.long) return f.type === "multilineText" ? {} : TEXT.includes(f.type) ? { warn: true, note: "the JSON snapshot is long; a Long text column fits it better" } : { bad: true, note: "the JSON snapshot is text", fix: text };
+  if (DATES.includes(f.type)) return w.date ? {} : { bad: true, note: "gets text, not a date", fix: text };
+  if (TEXT.includes(f.type)) return {};
+  if (f.type === "singleSelect") {
+    const choices = (f.options?.choices || []).map(c => c.name);
+    if (w.value != null && !choices.includes(w.value)) return { bad: true, note: `"${w.value}" is not one of its options`, fix: `add the option "${w.value}" to ${w.name}` };
+    return { warn: true, note: `values outside its ${choices.length} option(s) are rejected` };
+  }
+  return { bad: true, note: "gets text values, which Airtable rejects for this type", fix: text };
+}
+
+// One day's read from a non-Airtable sink (a fan-out's parts one by one)
+export async function probeSink(sink, date = today()){
+  try { await sink.plan([], [date]); }
+  catch (e) { throw problem(`${sink.name}: ${e.message}`, sink.name === "postgres" ? "check POSTGRES_URL (hosted databases usually need ?sslmode=require)" : `check ${sink.table} can be read`); }
+  return `${sink.table} readable`;
+}
@@ -0,0 +1,86 @@
+// Optional enrichment: looks up each order's detail record for fields the list
+// view / Worker payload lacks (gate codes, placement notes, rental end, ...) and
+// adds them to the source row as `detail`. Each enrich field with a "field" is
+// mapped to that Airtable column (see loadMapping); others can be picked up like
+// any source key:  "gate": { "field": "Gate", "from": ["detail.gate_code"] }
+//
+// What to extract is the "enrich" section of mapping.json (see loadMapping); each
+// field's "from" / "transform" work as in the mapping, against the detail record
+// (a JSON record from the Worker, or label → value pairs read off the DRS page).
+// fetchDetail({ id, link, row }) is supplied by the adapter; lookups run
+// `concurrency` at a time. A failed one falls back to the row's last cached
+// fields, if any, rather than blanking columns that were filled before.
+//
+// Results are cached per Order #: reused while the row's last-modified stamp is
+// unchanged, or for maxAgeHours when the source has none.
+//   ENRICH_CACHE = cache file (default .drs-state/enrich-cache.json; "off" disables)
+
+import fs from "node:fs";
+import path from "node:path";
+import { opt } from "./env.mjs";
+import { mapField } from "./mapping.mjs";
+import { flatten } from "./order.mjs";
+
+export function enricherFromEnv({ mapping, fetchDetail }){
+  if (!mapping.enrich.enabled) return null;
+  return enricher({ mapping, fetchDetail, cacheFile: opt("ENRICH_CACHE", ".drs-state/enrich-cache.json") });
+}
+
+export function enricher({ mapping, fetchDetail, cacheFile = "" }){
+  const cfg = mapping.enrich;
+  const useCache = cacheFile && cacheFile !== "off";
+  let cache = {};
+  if (useCache && fs.existsSync(cacheFile)) cache = JSON.parse(fs.readFileSync(cacheFile, "utf8")).orders || {};
+
+  // rows → same rows, each with `detail` when its lookup worked; + stats
+  async function rows(list){
+    const stats = { enriched: 0, cached: 0, failed: 0, skipped: 0 };
+    const errors = [];
+    const jobs = list.map(row => {
+      const flat = flatten(row);
+      const id = mapField(mapping.fields.order, row, flat).replace(/^#\s*/, "");
+      const link = mapField({ from: cfg.link, transform: [] }, row, flat);
+      const modified = mapField({ from: cfg.modified, transform: [] }, row, flat);
+      return { row, id, link, modified };
+    });
+
+    const pending = [];
+    for (const job of jobs) {
+      if (!job.id) { stats.skipped++; continue; }
+      const hit = cache[job.id];
+      const fresh = hit && (job.modified ? hit.modified === job.modified : Date.now() - Date.parse(hit.at) < cfg.maxAgeHours * 3600000);
+      if (fresh) { job.detail = hit.fields; stats.cached++; } else pending.push(job);
+    }
+
+    let next = 0;
+    const worker = async () => {
+      while (next < pending.length) {
+        const job = pending[next++];
+        try {
+          const src = await fetchDetail(job);
+          if (!src) { stats.skipped++; continue; }
+          const flat = flatten(src);
+          job.detail = Object.fromEntries(Object.entries(cfg.fields).map(([k, spec]) => [k, mapField(spec, src, flat)]));
+          cache[job.id] = { modified: job.modified, at: new Date().toISOString(), fields: job.detail };
+          stats.enriched++;
+        } catch (e) {
+          stats.failed++;
+          if (cache[job.id]) job.detail = cache[job.id].fields;
+          if (errors.length < 10) errors.push(`${job.id}: ${e.message}`);
+        }
+      }
+    };
+    await Promise.all(Array.from({ length: Math.min(cfg.concurrency, pending.length) }, worker));
+
+    if (useCache && pending.length) save();
+    return { rows: jobs.map(j => (j.detail ? { ...j.row, detail: j.detail } : j.row)), stats: { ...stats, ...(errors.length ? { errors } : {}) } };
+  }
+
+  function save(){
+    fs.mkdirSync(path.dirname(cacheFile), { recursive: true });
+    fs.writeFileSync(`${cacheFile}.tmp`, JSON.stringify({ orders: cache }, null, 1), "utf8");
+    fs.renameSync(`${cacheFile}.tmp`, cacheFile);
+  }
+
+  return { fields: Object.keys(cfg.fields), rows };
+}
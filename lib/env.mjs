@@ -0,0 +1,54 @@
+// Env + CLI helpers shared by every entry point.
+//   must("KEY")    → value or throws (exit code 2: configuration error)
+//   opt("KEY", d)  → value or default
+//   parseArgs()    → { date: "2025-11-05", flag: true, _: ["file.csv"] } from --date=... --flag file.csv
+//   dryRunFlags(a) → { dryRun, fixture } from --dry-run / DRY_RUN=1 and --fixture / AIRTABLE_FIXTURE
+//   configError(m) → Error carrying exit code 2, for bad env/flags/usage
+//   fail(err)      → print + exit with err.exitCode (1 if unset); use as .catch(fail). An error
+//                    carrying an exitCode is an expected outcome: its message only, no stack
+//   EXIT           → what each exit code means (drs-sync --help lists them)
+//   isMain(meta)   → true when this module is the script node was started with, not imported
+//   emit(obj)      → a command's result document: JSON on stdout (the only stdout output with --json)
+
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+export const EXIT = {
+  ok: 0, error: 1, config: 2, reconcile: 3,
+  credentials: 4, challenge: 5, locked: 6, maintenance: 7, login: 8, // DRS login failures (browser.mjs)
+  partial: 9,  // ran, but some of the work was rejected (e.g. exported files failing validation, failed sink writes)
+  checks: 10   // doctor found problems
+};
+
+export function must(k){
+  const v = process.env[k];
+  if (!v) throw configError(`Missing env ${k}`);
+  return v;
+}
+export function opt(k, def = ""){ const v = process.env[k]; return v ? v : def; }
+
+export function parseArgs(argv = process.argv.slice(2)){
+  const out = { _: [] };
+  for (const a of argv) {
+    const m = a.match(/^--([^=]+)(?:=(.*))?$/);
+    if (m) out[m[1]] = m[2] ?? true; else out._.push(a);
+  }
+  return out;
+}
+
+// A fixture stands in for the live Airtable table, so it always implies a dry run
+export function dryRunFlags(args){
+  const fixture = typeof args.fixture === "string" ? args.fixture : opt("AIRTABLE_FIXTURE");
+  return { fixture, dryRun: Boolean(fixture || args["dry-run"] || process.env.DRY_RUN === "1") };
+}
+
+export function configError(msg){ const e = new Error(msg); e.exitCode = EXIT.config; return e; }
+
+export function fail(err){
+  console.error(err?.exitCode ? err.message : err?.stack || String(err)); // expected outcomes (config, partial, ...) need no stack
+  process.exit(err?.exitCode || 1);
+}
+
+export function isMain(meta){ return Boolean(process.argv[1]) && meta.url === pathToFileURL(path.resolve(process.argv[1])).href; }
+
+export function emit(obj){ process.stdout.write(JSON.stringify(obj, null, 2) + "\n"); }
@@ -0,0 +1,23 @@
+// Public surface of the sync core
+export { must, opt, parseArgs, dryRunFlags, configError, fail, EXIT, isMain, emit } from "./env.mjs";
+export { TZ, ymd, today, isISODate, isoToMDY, eachDay } from "./dates.mjs";
+export { DEFAULT_MAPPING, TRANSFORMS, loadMapping, mapField, normKey, getPath, parseDate } from "./mapping.mjs";
+export { normalizeOrder, expandLineItems, isBlank, fallbackKey, withKey, flatten } from "./order.mjs";
+export { STEPS, STATUSES, normalizeConfig, normalizeRecord, toE164, parseYards, canonicalStatus, cleanAddress } from "./normalize.mjs";
+export { keyOf, recordOf, planDiff, changesOf, storeSink } from "./sink.mjs";
+export { SINKS, sinksFromEnv, fanOut } from "./sinks.mjs";
+export { airtableSink, airtableFromEnv, airtableFetch } from "./airtable.mjs";
+export { sqliteSink, sqliteFromEnv, postgresSink, postgresFromEnv } from "./sql.mjs";
+export { sheetSink, sheetFromEnv } from "./sheet.mjs";
+export { workerSource, workerFromEnv } from "./worker.mjs";
+export { LOGIN_EXIT, loginError, openSession, login, loginUrls } from "./browser.mjs";
+export { SELECTORS, selectors } from "./selectors.mjs";
+export { loginPage, reportsPage, ordersPage, orderDetailPage } from "./pages.mjs";
+export { parseCSV, csvObjects, readOrderCsv, checkOrderCsv } from "./csv.mjs";
+export { reconcileConfig, reconcilePlan } from "./reconcile.mjs";
+export { DEFAULT_STATE, stateFromEnv, openState } from "./state.mjs";
+export { EVENTS, webhooksFromEnv, webhookSender } from "./webhooks.mjs";
+export { enricher, enricherFromEnv } from "./enrich.mjs";
+export { syncOrders } from "./sync.mjs";
+export { formatDiff } from "./diff.mjs";
+export { problem, probeWorker, probeLogin, airtableTable, fieldChecks, probeSink } from "./doctor.mjs";
@@ -0,0 +1,188 @@
+// Field mapping config: which Airtable column each logical field goes to, where
+// its value comes from, and how it is cleaned up. Loaded from mapping.json (or
+// MAPPING_FILE / --mapping=path) and validated once at startup.
+//
+//   {
+//     "raw": "",                                   // optional column for the JSON snapshot
+//     "fields": {
+//       "<key>": {
+//         "field": "Airtable Column",
+//         "from": [                                // first non-blank candidate wins
+//           "delivery_address",                    // header / JSON leaf key, compared after normKey()
+//           "customer.phone",                      // flattened path (see flatten() in order.mjs)
+//           "$.site.address.line1",                // JSON path into the source row
+//           3                                      // 1-based column index
+//         ],
+//         "transform": [                           // applied left to right
+//           "trim" | "upper" | "lower" | "title" | "digits" | "phone" | "date",
+//           { "regex": "pattern", "group": 1 },    // keep a capture group ("" if no match)
+//           { "replace": ["pattern", "with"] },
+//           { "map": { "from": "to" } },           // case-insensitive enum map; unmapped values pass through
+//           { "default": "value" }                 // used when the value is still blank
+//         ]
+//       }
+//     },
+//     "lineItems": { "path": "items", "enabled": false }, // one row per element (LINE_ITEMS=1|0 overrides)
+//     "normalize": { "phone": {...}, "size": {...}, ... },  // see normalize.mjs
+//     "enrich": {                                  // order detail lookups, see enrich.mjs
+//       "enabled": false,                          // ENRICH=1|0 overrides
+//       "concurrency": 3, "maxAgeHours": 24,       // ENRICH_CONCURRENCY overrides
+//       "link": ["order_link"],                    // candidates for the detail page URL (scraper)
+//       "modified": ["last_modified"],             // candidates for a last-modified stamp
+//       "fields": { "gate_code": { "field": "Gate Code", "from": ["gate_code", "gate"], "transform": [] } }
+//     }                                            // → row.detail.gate_code; with "field" (AT_FIELD_<KEY>)
+//                                                  //   it is also mapped to that column while enabled
+//   }
+//
+// "date" and "order" are required: together they are the upsert key. A "date"
+// without "from" is stamped with the run date; with "from" the run date is only
+// the fallback. Adding a column (say "Driver") is a new entry, no code change.
+//
+// Env overrides: AT_FIELD_<KEY> renames a column (AT_FIELD_RAW sets "raw"),
+// AT_COL_<KEY> puts a 1-based column index in front of that field's candidates.
+
+import fs from "node:fs";
+import { fileURLToPath } from "node:url";
+import { opt, configError } from "./env.mjs";
+import { toE164, normalizeConfig, checkNormalize } from "./normalize.mjs";
+
+export const DEFAULT_MAPPING = fileURLToPath(new URL("../mapping.json", import.meta.url));
+
+export const TRANSFORMS = {
+  trim:   v => v.trim(),
+  upper:  v => v.toUpperCase(),
+  lower:  v => v.toLowerCase(),
+  title:  v => v.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase()),
+  digits: v => v.replace(/\D+/g, ""),
+  phone:  v => toE164(v, process.env.PHONE_COUNTRY || "US"),
+  date:   v => parseDate(v)
+};
+
+export function loadMapping(file = opt("MAPPING_FILE", DEFAULT_MAPPING)){
+  let json;
+  try { json = JSON.parse(fs.readFileSync(file, "utf8")); }
+  catch (e) { throw configError(`Mapping ${file}: ${e.message}`); }
+
+  const errors = [];
+  const fields = {};
+  if (!json || typeof json.fields !== "object" || Array.isArray(json.fields)) errors.push(`"fields" must be an object`);
+  for (const [key, spec] of Object.entries(json?.fields || {})) {
+    const at = `fields.${key}`;
+    if (!spec || typeof spec !== "object") { errors.push(`${at} must be an object`); continue; }
+    const field = process.env[`AT_FIELD_${key.toUpperCase()}`] || spec.field;
+    if (typeof field !== "string" || !field) errors.push(`${at}.field must be a non-empty string`);
+    const from = spec.from ?? [];
+    if (!Array.isArray(from)) errors.push(`${at}.from must be an array`);
+    else from.forEach((s, i) => { if (!(typeof s === "string" && s) && !(Number.isInteger(s) && s > 0)) errors.push(`${at}.from[${i}] must be a key, "$.json.path" or 1-based column index`); });
+    const col = parseInt(process.env[`AT_COL_${key.toUpperCase()}`] || "", 10);
+    const transform = spec.transform ?? [];
+    if (!Array.isArray(transform)) errors.push(`${at}.transform must be an array`);
+    else transform.forEach((t, i) => { const msg = checkTransform(t); if (msg) errors.push(`${at}.transform[${i}]: ${msg}`); });
+    fields[key] = { field, from: [...(col > 0 ? [col] : []), ...(Array.isArray(from) ? from : [])], transform: Array.isArray(transform) ? transform : [] };
+  }
+  for (const k of ["date", "order"]) if (json?.fields && !fields[k]) errors.push(`fields.${k} is required (it is part of the upsert key)`);
+  if (fields.order && !fields.order.from.length) errors.push(`fields.order.from must list at least one source`);
+  const raw = process.env.AT_FIELD_RAW ?? json?.raw ?? "";
+  if (typeof raw !== "string") errors.push(`"raw" must be a column name or ""`);
+  const li = json?.lineItems ?? {};
+  if (li.path != null && typeof li.path !== "string") errors.push(`lineItems.path must be a string`);
+  const lineItems = { path: li.path || "items", enabled: process.env.LINE_ITEMS ? process.env.LINE_ITEMS === "1" : Boolean(li.enabled) };
+  errors.push(...checkNormalize(json?.normalize));
+  const enrich = enrichConfig(json?.enrich ?? {}, errors);
+  if (enrich.enabled) for (const [key, e] of Object.entries(enrich.fields)) if (e.field && !fields[key]) fields[key] = { field: e.field, from: [`detail.${key}`], transform: [] };
+  if (errors.length) throw configError(`Invalid mapping ${file}:\n  - ${errors.join("\n  - ")}`);
+
+  const names = Object.fromEntries(Object.entries(fields).map(([k, f]) => [k, f.field]));
+  return { file, fields, raw, names, lineItems, normalize: normalizeConfig(json.normalize), enrich };
+}
+
+function enrichConfig(e, errors){
+  const list = (k, def) => {
+    const v = e[k] ?? def;
+    if (!Array.isArray(v) || !v.every(s => typeof s === "string" && s)) { errors.push(`enrich.${k} must be an array of keys`); return def; }
+    return v;
+  };
+  const fields = {};
+  for (const [key, spec] of Object.entries(e.fields || {})) {
+    const from = spec?.from, transform = spec?.transform ?? [];
+    const field = process.env[`AT_FIELD_${key.toUpperCase()}`] || spec?.field || "";
+    if (typeof field !== "string") errors.push(`enrich.fields.${key}.field must be a column name`);
+    if (!Array.isArray(from) || !from.length || !from.every(s => typeof s === "string" && s)) errors.push(`enrich.fields.${key}.from must list at least one key`);
+    if (!Array.isArray(transform)) errors.push(`enrich.fields.${key}.transform must be an array`);
+    else transform.forEach((t, i) => { const msg = checkTransform(t); if (msg) errors.push(`enrich.fields.${key}.transform[${i}]: ${msg}`); });
+    fields[key] = { field, from: Array.isArray(from) ? from : [], transform: Array.isArray(transform) ? transform : [] };
+  }
+  const concurrency = Number(process.env.ENRICH_CONCURRENCY || e.concurrency || 3);
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) errors.push(`enrich.concurrency must be a whole number > 0`);
+  const enabled = process.env.ENRICH ? process.env.ENRICH === "1" : Boolean(e.enabled);
+  if (enabled && !Object.keys(fields).length) errors.push(`enrich.fields is empty: nothing to look up`);
+  return {
+    enabled, concurrency, fields,
+    maxAgeHours: Number(e.maxAgeHours ?? 24),
+    link: list("link", ["order_link"]),
+    modified: list("modified", ["last_modified", "updated_at", "modified", "date_modified"])
+  };
+}
+
+// Value of one mapped field from a source row, transforms applied ("" when nothing matches)
+export function mapField(spec, src, flat){
+  let v = "";
+  for (const s of spec.from) {
+    const x = typeof s === "number" ? byIndex(src, flat, s) : s.startsWith("$") ? getPath(src, s) : flat[normPath(s)];
+    if (x != null && typeof x !== "object" && String(x).trim()) { v = x; break; }
+  }
+  v = String(v ?? "").replace(/\s+/g, " ").trim();
+  for (const t of spec.transform) v = applyTransform(t, v);
+  return v;
+}
+
+// "Order ID" → "order_id", "Order #" → "order"
+export function normKey(k){ return String(k).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""); }
+
+// "Customer.Phone Number" → "customer.phone_number", "Items[0].Size" → "items[0].size"
+function normPath(s){ return String(s).split(".").map(p => { const m = p.match(/^(.*?)((?:\[\d+\])*)$/); return normKey(m[1]) + m[2]; }).join("."); }
+
+// "$.customer.name", "$.items[0].size"
+export function getPath(obj, path){
+  const parts = String(path).replace(/^\$\.?/, "").match(/[^.[\]]+/g) || [];
+  let cur = obj;
+  for (const p of parts) { if (cur == null || typeof cur !== "object") return undefined; cur = cur[p]; }
+  return cur;
+}
+
+// ISO, MM/DD/YYYY, M/D/YY, "Nov 5, 2025" or a full timestamp → "YYYY-MM-DD" ("" if unparseable)
+export function parseDate(v){
+  const s = String(v || "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})\b/);
+  if (m) return `${m[3].length === 2 ? "20" + m[3] : m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  const t = Date.parse(s);
+  if (!s || Number.isNaN(t)) return "";
+  const d = new Date(t);
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function applyTransform(t, v){
+  if (typeof t === "string") return TRANSFORMS[t](v);
+  if ("regex" in t) { const m = v.match(new RegExp(t.regex, t.flags || "")); return m ? (m[t.group ?? 1] ?? m[0]).trim() : ""; }
+  if ("replace" in t) return v.replace(new RegExp(t.replace[0], "g"), t.replace[1] ?? "").trim();
+  if ("map" in t) { const hit = Object.entries(t.map).find(([k]) => k.toLowerCase() === v.toLowerCase()); return hit ? String(hit[1]) : v; }
+  if ("default" in t) return v || String(t.default);
+  return v;
+}
+
+function checkTransform(t){
+  if (typeof t === "string") return TRANSFORMS[t] ? "" : `unknown transform "${t}" (known: ${Object.keys(TRANSFORMS).join(", ")})`;
+  if (!t || typeof t !== "object") return "must be a name or an object";
+  try {
+    if ("regex" in t) { new RegExp(t.regex, t.flags || ""); return ""; }
+    if ("replace" in t) { if (!Array.isArray(t.replace)) return `"replace" must be ["pattern", "with"]`; new RegExp(t.replace[0], "g"); return ""; }
+  } catch (e) { return e.message; }
+  if ("map" in t) return t.map && typeof t.map === "object" ? "" : `"map" must be an object`;
+  if ("default" in t) return "";
+  return `unknown transform ${JSON.stringify(t)}`;
+}
+
+// n-th column of a CSV or scraped row: its n-th value (the scraper puts links and data-* after the columns)
+function byIndex(src, flat, n){ return flat[`col${n}`] ?? (src && typeof src === "object" ? Object.values(src)[n - 1] : undefined); }
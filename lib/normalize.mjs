@@ -0,0 +1,128 @@
+// Normalization of mapped Orders before they are keyed and written, so the
+// same customer/size/status always lands in Airtable spelled the same way.
+// Configured by the "normalize" section of mapping.json; a missing or false
+// entry turns that step off, NORMALIZE=phone,size (or "none") overrides the file.
+//
+//   "normalize": {
+//     "phone":   { "country": "US" },                 // → E.164 "+15551234567" (PHONE_COUNTRY overrides)
+//     "size":    { "label": "{yards} Yard", "yardsKey": "size_yards" },
+//     "status":  { "unknown": "Other", "synonyms": { "Delivered": ["swapped"] } },
+//     "address": {}
+//   }
+//
+// Each step works on the logical key of the same name; "keys": [...] widens it.
+// size also stores the numeric yards under yardsKey, which the default mapping
+// sends to "Yards" (a Number column in Airtable). Values that cannot be parsed are
+// left as they came in, except status, which falls back to `unknown`. Status words
+// match whole words only, and a negated one ("not delivered", "undelivered") matches nothing.
+
+export const STEPS = ["phone", "size", "status", "address"];
+
+const CALLING_CODES = { US: "1", CA: "1", PR: "1", MX: "52", GB: "44", IE: "353", AU: "61", NZ: "64" };
+
+export const STATUSES = {
+  "Scheduled":        ["scheduled", "open", "new", "pending", "booked", "confirmed", "reserved", "delivery scheduled"],
+  "Out for Delivery": ["out for delivery", "en route", "enroute", "dispatched", "in transit"],
+  "Delivered":        ["delivered", "dropped", "dropped off", "on site", "onsite", "active", "in use", "rented"],
+  "Pickup Requested": ["pickup requested", "pick up requested", "call for pickup", "ready for pickup", "pickup scheduled", "pick up scheduled"],
+  "Picked Up":        ["picked up", "pickedup", "removed", "returned"],
+  "Completed":        ["completed", "complete", "closed", "done", "invoiced", "paid"],
+  "Cancelled":        ["cancelled", "canceled", "void", "voided"],
+  "On Hold":          ["on hold", "hold", "paused"]
+};
+
+// Enabled steps with their options, after NORMALIZE / PHONE_COUNTRY overrides
+export function normalizeConfig(section = {}){
+  const only = process.env.NORMALIZE;
+  const on = only ? only.split(",").map(s => s.trim()).filter(s => STEPS.includes(s)) : STEPS.filter(s => section[s]);
+  const cfg = {};
+  for (const s of on) cfg[s] = { keys: [s], ...(section[s] && typeof section[s] === "object" ? section[s] : {}) };
+  if (cfg.phone && process.env.PHONE_COUNTRY) cfg.phone.country = process.env.PHONE_COUNTRY;
+  return cfg;
+}
+
+// Problems with a "normalize" section, for loadMapping's validation
+export function checkNormalize(section){
+  const errors = [];
+  if (section == null) return errors;
+  if (typeof section !== "object" || Array.isArray(section)) return [`"normalize" must be an object`];
+  for (const [k, v] of Object.entries(section)) {
+    if (!STEPS.includes(k)) errors.push(`normalize.${k}: unknown step (known: ${STEPS.join(", ")})`);
+    else if (v !== false && v !== true && (typeof v !== "object" || Array.isArray(v))) errors.push(`normalize.${k} must be true, false or an object`);
+  }
+  const country = process.env.PHONE_COUNTRY || section.phone?.country;
+  if (section.phone && country && !CALLING_CODES[String(country).toUpperCase()]) errors.push(`normalize.phone.country "${country}" is not one of ${Object.keys(CALLING_CODES).join(", ")}`);
+  return errors;
+}
+
+export function normalizeRecord(o, cfg){
+  const out = { ...o };
+  for (const k of cfg.phone?.keys || []) out[k] = toE164(out[k], cfg.phone.country);
+  if (cfg.size) {
+    for (const k of cfg.size.keys) {
+      const yards = parseYards(out[k]);
+      if (yards == null) continue;
+      out[k] = (cfg.size.label || "{yards} Yard").replace("{yards}", String(yards));
+      out[cfg.size.yardsKey || "size_yards"] = yards;
+    }
+  }
+  for (const k of cfg.status?.keys || []) out[k] = canonicalStatus(out[k], cfg.status);
+  for (const k of cfg.address?.keys || []) out[k] = cleanAddress(out[k]);
+  return out;
+}
+
+// "(555) 123-4567", "555.123.4567 x12", "+1 555 123 4567" → "+15551234567"
+export function toE164(v, country = "US"){
+  const s = String(v ?? "").trim();
+  if (!s) return s;
+  const main = s.split(/\s*(?:x|ext\.?|extension|#)\s*\d+\s*$/i)[0];
+  const digits = main.replace(/\D+/g, "");
+  const cc = CALLING_CODES[String(country).toUpperCase()] || "1";
+  if (/^\s*(\+|00)/.test(main)) return digits.length >= 8 ? "+" + digits.replace(/^00/, "") : s;
+  if (cc === "1") {
+    if (digits.length === 10) return "+1" + digits;
+    if (digits.length === 11 && digits[0] === "1") return "+" + digits;
+    return s;
+  }
+  const national = digits.replace(/^0+/, "");
+  return national.length >= 7 ? `+${cc}${national}` : s;
+}
+
+// "20 yd", "20YD", "20 Yard Roll-off", "20-yard", "20" → 20 (null if no number)
+export function parseYards(v){
+  const s = String(v ?? "");
+  const m = s.match(/(\d+(?:\.\d+)?)\s*-?\s*(?:cu(?:bic)?\.?\s*)?(?:yds?|yards?|y)\b/i) || s.match(/^\s*(\d+(?:\.\d+)?)\s*$/);
+  return m ? Number(m[1]) : null;
+}
+
+// "Delivered - awaiting pickup" → Delivered; "not delivered", "undelivered", "never picked up" → unknown
+export function canonicalStatus(v, { unknown = "Other", synonyms = {} } = {}){
+  const s = words(v);
+  if (!s) return "";
+  const table = Object.entries(STATUSES).flatMap(([label, list]) => [label, ...list, ...(synonyms[label] || [])].map(w => [words(w), label]));
+  for (const [w, label] of table) if (w === s) return label;
+  // longest first, so "pickup scheduled" wins over "scheduled"; a word with a negation in front doesn't count
+  for (const [w, label] of table.sort((a, b) => b[0].length - a[0].length)) {
+    const at = ` ${s} `.indexOf(` ${w} `);
+    if (at >= 0 && !NEGATED.test(` ${s} `.slice(0, at + 1))) return label;
+  }
+  return unknown;
+}
+const NEGATED = /\b(?:not|no|never|un|non|isn t|wasn t|hasn t)\s$/;
+function words(v){ return String(v ?? "").toLowerCase().replace(/[^a-z0-9]+/g, " ").trim(); }
+
+// Collapses whitespace, fixes ", " spacing and re-cases ALL CAPS / all lower address parts,
+// keeping state codes, directionals and unit letters upper case
+export function cleanAddress(v){
+  let s = String(v ?? "").replace(/\s+/g, " ").replace(/\s*,\s*/g, ", ").replace(/[,\s]+$/, "").trim();
+  if (!s) return s;
+  s = s.split(", ").map(part => {
+    const letters = part.replace(/[^a-z]/gi, "");
+    if (!letters || (letters !== letters.toUpperCase() && letters !== letters.toLowerCase())) return part;
+    return part.toLowerCase().replace(/\b([a-z])/g, c => c.toUpperCase()).replace(/\b(\d+)(St|Nd|Rd|Th)\b/g, (_, n, x) => n + x.toLowerCase());
+  }).join(", ");
+  return s
+    .replace(/\b(N|S|E|W|Ne|Nw|Se|Sw)\b(?=\.?\s)/g, d => d.toUpperCase())
+    .replace(/\bPo Box\b/gi, "PO Box")
+    .replace(/, ([A-Za-z]{2})(?=(?:\s+\d{5}(?:-\d{4})?)?$)/, (_, st) => `, ${st.toUpperCase()}`);
+}
@@ -0,0 +1,60 @@
+// Order normalizer: any adapter row (scraped table row, Worker JSON order, CSV
+// row) → one logical Order keyed by the mapping's field keys:
+//   { date, customer, address, phone, size, order, status, ..., raw }
+// Values are cleaned strings; `order` never has a leading "#" and is never
+// empty (see fallbackKey).
+
+import crypto from "node:crypto";
+import { mapField, normKey, getPath } from "./mapping.mjs";
+
+const LINE = Symbol("line"); // { n, of } on rows produced by expandLineItems
+
+export function normalizeOrder(src, { date, mapping }){
+  const flat = flatten(src);
+  const o = {};
+  for (const [k, spec] of Object.entries(mapping.fields)) o[k] = mapField(spec, src, flat);
+  o.date = o.date || String(date || "");
+  o.order = o.order.replace(/^#\s*/, "");
+  if (o.order && src[LINE]?.of > 1) o.order += `-${src[LINE].n}`;
+  o.raw = src;
+  return o;
+}
+
+// Line-item mode: one row per element of the array at `path` (e.g. "items"),
+// each carrying the order plus that element as `line_item`. Its leaf keys
+// shadow the order's, so "size" resolves to the container on that line; the
+// Order # gets a "-1", "-2", ... suffix when there is more than one line.
+// Orders without items pass through unchanged.
+export function expandLineItems(src, path){
+  const items = getPath(src, path);
+  if (!Array.isArray(items) || !items.length) return [src];
+  return items.map((line_item, i) => ({ ...src, line_item, [LINE]: { n: i + 1, of: items.length } }));
+}
+
+// Rows where every mapped field except date is blank are dropped
+export function isBlank(o, mapping){ return !Object.keys(mapping.fields).some(k => k !== "date" && o[k]); }
+
+// Stable key for rows without an order number so re-runs update them instead of duplicating
+export function fallbackKey(o){
+  const basis = ["customer", "address", "phone", "size"].map(k => String(o[k] || "").toLowerCase()).join("|");
+  return "NO-ORDER-" + crypto.createHash("sha1").update(basis).digest("hex").slice(0, 10);
+}
+export function withKey(o){ return o.order ? o : { ...o, order: fallbackKey(o) }; }
+
+// Nested source → flat lookup table keyed two ways:
+//   full paths  "customer.phone", "site.address.city", "items[0].size"
+//   leaf names  "phone", "city" (last occurrence wins, as the old flatten did)
+// Leaf names are only taken from objects, not from inside arrays, so line items
+// never shadow order-level fields.
+export function flatten(obj, path = "", out = {}, inArray = false){
+  if (Array.isArray(obj)) {
+    obj.forEach((v, i) => flatten(v, `${path}[${i}]`, out, true));
+  } else if (obj && typeof obj === "object") {
+    for (const [k, v] of Object.entries(obj)) flatten(v, path ? `${path}.${normKey(k)}` : normKey(k), out, inArray);
+  } else if (path) {
+    out[path] = obj;
+    const leaf = path.slice(path.lastIndexOf(".") + 1);
+    if (!inArray && leaf !== path) out[leaf] = obj;
+  }
+  return out;
+}
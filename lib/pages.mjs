@@ -0,0 +1,305 @@
+// DRS page objects: what the scripts may do on each DRS screen. Selectors come
+// from the registry in selectors.mjs; nothing here hard-codes markup.
+//   loginPage(page)    fields(), submit(user, pass), state(response)
+//   reportsPage(page)  open(url), chooseReport(name), chooseTab(tab), setDate(mdy), exportCsv()
+//   ordersPage(page)   open(url), filterDate(date), table() — all pages, all matching tables
+//   orderDetailPage(page)  open(url), fields() — label → value pairs of one order
+
+import { opt } from "./env.mjs";
+import { selectors, fill } from "./selectors.mjs";
+
+export function loginPage(page, { login: S } = selectors()){
+  return {
+    // { user, password } locators of the visible login form, or null when there is none
+    async fields(){
+      const password = await visible(page, S.password), user = await visible(page, S.user);
+      return password && user ? { user, password } : null;
+    },
+    async hasPassword(){ return Boolean(await visible(page, S.password)); },
+
+    async submit(user, pass){
+      const f = await this.fields();
+      await f.user.fill(user);
+      await f.password.fill(pass);
+      const button = await visible(page, S.submit);
+      const nav = page.waitForLoadState("networkidle").catch(() => {});
+      if (button) await button.click(); else await page.keyboard.press("Enter");
+      await nav;
+    },
+
+    // What the page says about the login: credentials | challenge | locked | maintenance | login | ""
+    // `response` is the navigation's response; null right after submitting the form
+    async state(response){
+      const text = (await page.locator("body").innerText({ timeout: 5000 }).catch(() => "")).slice(0, 5000).toLowerCase();
+      if (response?.status() === 503 || /(under|scheduled|down for) maintenance|maintenance (mode|in progress|window)|temporarily unavailable|be right back/.test(text)) return "maintenance";
+      if (await present(page, S.challenge) || /captcha|verify you are (a )?human|verification code|one[- ]time (pass)?code|two[- ]factor|2-step|authenticator app|security code/.test(text)) return "challenge";
+      if (/account (is |has been )?(locked|disabled|suspended)|too many (failed )?(login )?attempts|locked out/.test(text)) return "locked";
+      if (!(await this.hasPassword()) || await present(page, S.loggedIn)) return "";
+      if (/invalid|incorrect|wrong|not recognized|does not match|failed/.test(text)) return "credentials";
+      return response ? "" : "login"; // a login form right after submitting means it didn't take
+    }
+  };
+}
+
+export function reportsPage(page, S = selectors()){
+  const R = S.reports;
+  return {
+    // Direct URL when known, else the Reports link in the navigation
+    async open(url){
+      if (url) await page.goto(url, { waitUntil: "domcontentloaded" });
+      else await clickFirst(page, S.nav.reports, { optional: true });
+      await page.waitForLoadState("domcontentloaded");
+    },
+    async chooseReport(name){
+      const hit = await clickFirst(page, fill(R.report, name), { optional: true });
+      await page.waitForLoadState("domcontentloaded");
+      return hit;
+    },
+    // "Day" | "Week" | "Month" (the UI defaults to Month)
+    chooseTab(tab){ return clickFirst(page, fill(R.tab, tab), { optional: true }); },
+
+    // MM/DD/YYYY into the obvious date input, else into a text box already holding a date
+    async setDate(mdy){
+      for (const sel of R.date) {
+        const el = await page.$(sel);
+        if (el) { await el.fill(mdy); return true; }
+      }
+      for (const sel of R.dateLike) {
+        for (const el of await page.$$(sel)) {
+          if (/^\d{1,2}\/\d{1,2}\/\d{4}$/.test((await el.inputValue()).trim())) { await el.fill(mdy); return true; }
+        }
+      }
+      return false;
+    },
+
+    // Clicks Export and returns the CSV text ("" if nothing came back): the download,
+    // or a CSV the browser opened inline instead, read again with the session's cookies
+    async exportCsv(){
+      const downloadP = page.waitForEvent("download", { timeout: 30000 }).catch(() => null);
+      await clickFirst(page, R.exportCsv);
+      const dl = await downloadP;
+      if (dl) { const { readFile } = await import("node:fs/promises"); return readFile(await dl.path(), "utf8"); }
+      try {
+        const url = page.url();
+        if (/\.csv(\?|$)/i.test(url)) { const res = await page.context().request.get(url); if (res.ok()) return await res.text(); }
+      } catch {}
+      try {
+        // only a document the browser itself shows as text; checkOrderCsv() does the rest
+        const type = await page.evaluate(() => document.contentType);
+        if (/^text\/(csv|plain)/i.test(type)) return await page.textContent("body");
+      } catch {}
+      return "";
+    }
+  };
+}
+
+export function ordersPage(page, { orders: S } = selectors()){
+  return {
+    open(url){ return page.goto(url, { waitUntil: "domcontentloaded" }); },
+
+    // Best effort: DRS only sometimes shows date inputs on the orders list
+    async filterDate(date){
+      const start = await first(page, S.start), end = await first(page, S.end);
+      if (start) await start.fill(date);
+      if (end) await end.fill(date);
+      const button = await first(page, S.filter);
+      if (button) await Promise.all([page.waitForLoadState("networkidle"), button.click()]);
+    },
+
+    // { rows, headers, table, pages, warnings } from every page of the orders table(s).
+    // Tables: all matches of the first registry selector that hits, else every table
+    // whose headers look like orders (or the single best guess). "Show all" / page
+    // size "All" is tried first, then Next is followed up to maxPages.
+    async table({ maxPages = Number(opt("ORDERS_MAX_PAGES", "50")) } = {}){
+      try { await page.waitForSelector(S.anyTable.join(", "), { timeout: 10000 }); } catch {}
+      await showAll(page, S);
+      const out = { rows: [], headers: [], table: "", pages: 0 };
+      const seen = new Set();
+      for (let n = 0; n < maxPages; n++) {
+        const got = await readTables(page, S);
+        const sig = JSON.stringify(got.rows.map(r => Object.values(r.row)));
+        if (seen.has(sig)) break; // Next didn't change anything
+        seen.add(sig);
+        out.table = got.table;
+        out.pages++;
+        for (const h of got.headers) if (!out.headers.includes(h)) out.headers.push(h);
+        for (const { row, warnings, confidence } of got.rows) out.rows.push({ ...row, _confidence: confidence, _warnings: warnings });
+        if (!(await nextPage(page, S))) break;
+      }
+      out.warnings = out.rows.filter(r => r._warnings.length).length;
+      return out;
+    }
+  };
+}
+
+export function orderDetailPage(page, { detail: S } = selectors()){
+  return {
+    open(url){ return page.goto(url, { waitUntil: "domcontentloaded" }); },
+    // { "Gate Code": "1234", "Placement Notes": "...", ... } from dt/dd, two-cell
+    // table rows, labelled form controls and "<b>Label:</b> value" lines
+    async fields(){
+      for (const sel of S.root) {
+        if (await page.locator(sel).count()) return page.locator(sel).first().evaluate(labelPairs);
+      }
+      return {};
+    }
+  };
+}
+
+// ---------- helpers ----------
+async function first(page, list){
+  for (const sel of list) { const loc = page.locator(sel).first(); if (await loc.count()) return loc; }
+  return null;
+}
+async function visible(page, list){
+  for (const sel of list) { const loc = page.locator(sel).first(); if (await loc.count() && await loc.isVisible().catch(() => false)) return loc; }
+  return null;
+}
+async function present(page, list){ return Boolean(await first(page, list)); }
+
+export async function clickFirst(page, list, opts = {}){
+  const loc = await first(page, list);
+  if (loc) { await loc.click({ timeout: 8000 }); return true; }
+  if (opts.optional) return false;
+  throw new Error(`Could not click any of: ${list.join(" | ")}`);
+}
+
+// "Show all" link, or a page-size select set to "All" / its largest option
+async function showAll(page, S){
+  const link = await visible(page, S.showAll);
+  if (link) { await Promise.all([page.waitForLoadState("networkidle").catch(() => {}), link.click()]); return true; }
+  const select = await visible(page, S.pageSize);
+  if (!select) return false;
+  const value = await select.evaluate(el => {
+    const opts = Array.from(el.options);
+    const all = opts.find(o => o.value === "-1" || /^\s*all\s*$/i.test(o.textContent));
+    const biggest = opts.slice().sort((a, b) => Number(b.value) - Number(a.value))[0];
+    return (all || biggest)?.value ?? null;
+  });
+  if (value == null) return false;
+  await select.selectOption(value);
+  await page.waitForLoadState("networkidle").catch(() => {});
+  return true;
+}
+
+// Clicks an enabled Next control; false on the last page
+async function nextPage(page, S){
+  for (const sel of S.next) {
+    const loc = page.locator(sel).first();
+    if (!(await loc.count()) || !(await loc.isVisible().catch(() => false))) continue;
+    const disabled = await loc.evaluate(el => {
+      const on = n => n && (n.hasAttribute("disabled") || n.getAttribute("aria-disabled") === "true" || /\bdisabled\b/.test(n.className || ""));
+      return on(el) || on(el.parentElement);
+    });
+    if (disabled) return false;
+    await Promise.all([page.waitForLoadState("networkidle").catch(() => {}), loc.click({ timeout: 8000 })]);
+    return true;
+  }
+  return false;
+}
+
+// Reads the orders table(s) on the current page → { table, headers, rows: [{ row, warnings, confidence }] }
+async function readTables(page, S){
+  for (const sel of S.table) {
+    if (await page.locator(sel).count()) return merge(await page.$$eval(sel, extractTables), sel);
+  }
+  const all = await page.$$eval(S.anyTable.join(", "), extractTables);
+  const likely = all.filter(t => t.score >= 2);
+  if (likely.length) return merge(likely, "guessed");
+  const best = all.sort((a, b) => (b.score - a.score) || (b.rows.length - a.rows.length))[0];
+  return merge(best ? [best] : [], "guessed");
+}
+function merge(tables, table){
+  const headers = [];
+  for (const t of tables) for (const h of t.headers) if (!headers.includes(h)) headers.push(h);
+  return { table, headers, rows: tables.flatMap(t => t.rows) };
+}
+
+// Runs in the browser. For each table: headers (thead, a row of th, or a first row
+// that looks like headers; Title Case), and rows keyed by header with cell positions
+// kept — colspan fills the columns it covers, empty cells stay "". Extra fields:
+// "<Header> link" (first href in the cell), "<Header> data-x" (cell data-* attributes),
+// "data-x" (row data-* attributes), all after the columns, so the row's first values are
+// its columns in order (AT_COL_* indexes those). Each row gets warnings and a 0..1 confidence.
+function extractTables(tbls){
+  const clean = s => (s || "").replace(/\s+/g, " ").trim();
+  const title = h => h.split(" ").map(w => w.charAt(0).toUpperCase() + w.slice(1).toLowerCase()).join(" ");
+  const keywords = ["customer", "address", "phone", "size", "order", "status", "date"];
+  const looksLike = h => keywords.some(k => h.toLowerCase().includes(k));
+  const cellsOf = tr => {
+    const out = [];
+    for (const c of tr.cells) {
+      out.push({ text: clean(c.textContent), el: c });
+      for (let i = 1; i < Math.min(c.colSpan || 1, 50); i++) out.push({ text: "", el: null });
+    }
+    return out;
+  };
+
+  return tbls.map((t, index) => {
+    const trs = Array.from(t.rows);
+    let headerRow = t.tHead?.rows.length ? t.tHead.rows[t.tHead.rows.length - 1] : null;
+    if (!headerRow && trs[0] && Array.from(trs[0].cells).some(c => c.tagName === "TH")) headerRow = trs[0];
+    if (!headerRow && trs[0] && Array.from(trs[0].cells).some(c => looksLike(clean(c.textContent)))) headerRow = trs[0];
+
+    // a header spanning two columns names them "Contact" and "Contact 2"
+    const headers = [];
+    if (headerRow) for (const c of headerRow.cells) {
+      const h = title(clean(c.textContent));
+      for (let i = 0; i < Math.min(c.colSpan || 1, 50); i++) headers.push(h ? (i ? `${h} ${i + 1}` : h) : "");
+    }
+    const dupes = headers.filter((h, i) => h && headers.indexOf(h) !== i);
+    const score = headers.filter(looksLike).length;
+    const tableWarnings = [];
+    if (!headerRow) tableWarnings.push("no header row: columns are named col1, col2, ...");
+    else if (!score) tableWarnings.push(`headers don't look like orders: ${headers.join(", ")}`);
+    if (dupes.length) tableWarnings.push(`duplicate headers: ${[...new Set(dupes)].join(", ")}`);
+    if (headers.some(h => /^\$?[\d.,/:-]+$/.test(h))) tableWarnings.push("header row contains values, it may be a data row");
+
+    const headerRows = new Set(t.tHead ? Array.from(t.tHead.rows) : []);
+    if (headerRow) headerRows.add(headerRow);
+    const rows = [];
+    for (const tr of trs) {
+      if (headerRows.has(tr) || tr.parentElement?.tagName === "TFOOT") continue;
+      const cells = cellsOf(tr);
+      if (!cells.some(c => c.text)) continue;
+      if (headers.length && cells.every((c, i) => !c.text || title(c.text) === headers[i])) continue; // repeated header
+      const row = {}, warnings = [...tableWarnings];
+      cells.forEach((c, i) => { row[headers[i] || `col${i + 1}`] = c.text; });
+      cells.forEach((c, i) => {
+        const key = headers[i] || `col${i + 1}`;
+        if (!c.el) return;
+        const a = c.el.querySelector("a[href]");
+        if (a && !/^(javascript:|#)/i.test(a.getAttribute("href"))) row[`${key} link`] = a.href;
+        for (const attr of c.el.attributes) if (attr.name.startsWith("data-")) row[`${key} ${attr.name}`] = attr.value;
+      });
+      for (const attr of tr.attributes) if (attr.name.startsWith("data-")) row[attr.name] = attr.value;
+      if (headers.length && cells.length !== headers.length) warnings.push(`row has ${cells.length} cells, header has ${headers.length}`);
+      const confidence = Math.max(0, Math.min(1, score / 3) - (headerRow ? 0 : 0.5) - (warnings.length - tableWarnings.length) * 0.2 - (dupes.length ? 0.2 : 0));
+      rows.push({ row, warnings, confidence: Math.round(confidence * 100) / 100 });
+    }
+    return { index, headers, score, rows };
+  });
+}
+
+// Runs in the browser: label → value pairs under root (first occurrence of a label wins)
+function labelPairs(root){
+  const clean = s => (s || "").replace(/\s+/g, " ").trim();
+  const out = {};
+  const put = (k, v) => { k = clean(k).replace(/:$/, ""); v = clean(v); if (k && v && k.length <= 60 && !(k in out)) out[k] = v; };
+  const valueOf = el => el.type === "checkbox" ? (el.checked ? "Yes" : "No") : el.tagName === "SELECT" ? el.selectedOptions[0]?.textContent : el.value;
+  for (const dt of root.querySelectorAll("dt")) if (dt.nextElementSibling?.tagName === "DD") put(dt.textContent, dt.nextElementSibling.textContent);
+  for (const tr of root.querySelectorAll("tr")) {
+    const c = tr.cells;
+    if (c.length === 2 || (c.length > 2 && c[0].tagName === "TH")) put(c[0].textContent, c[1].textContent);
+  }
+  for (const l of root.querySelectorAll("label")) {
+    const input = l.htmlFor ? root.ownerDocument.getElementById(l.htmlFor) : l.querySelector("input, select, textarea");
+    if (input) put(l.textContent, valueOf(input));
+    else if (l.nextElementSibling) put(l.textContent, l.nextElementSibling.textContent);
+  }
+  for (const b of root.querySelectorAll("strong, b")) {
+    const label = clean(b.textContent);
+    if (label.endsWith(":") && b.parentElement) put(label, clean(b.parentElement.textContent).slice(clean(b.parentElement.textContent).indexOf(label) + label.length));
+  }
+  return out;
+}
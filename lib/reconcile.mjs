@@ -0,0 +1,73 @@
+// Reconciliation: Airtable records on the synced dates whose Order # is no
+// longer in the source (the plan's "orphan" entries) are flagged or deleted.
+// The same goes for every other sink (see sinks.mjs), each judged on its own.
+//
+//   RECONCILE            = off (default) | flag | delete
+//   RECONCILE_FIELD      = column to flag (default: the mapped Status column)
+//   RECONCILE_VALUE      = value written when flagging (default "Removed from DRS"; "true" for a checkbox)
+//   RECONCILE_MAX_RATIO  = abort the pass when more than this share of the existing
+//                          records would be removed (default 0.5), e.g. the Worker
+//                          answering { orders: [] } after an auth failure
+//
+// When RECONCILE_FIELD is its own column (not a mapped field), records still in
+// the source have it cleared, so an order that comes back is un-flagged.
+
+import { opt, configError } from "./env.mjs";
+
+export function reconcileConfig(mapping){
+  const mode = opt("RECONCILE", "off");
+  if (!["off", "flag", "delete"].includes(mode)) throw configError(`RECONCILE must be off, flag or delete (got "${mode}")`);
+  const maxRatio = Number(opt("RECONCILE_MAX_RATIO", "0.5"));
+  if (!(maxRatio >= 0 && maxRatio <= 1)) throw configError(`RECONCILE_MAX_RATIO must be between 0 and 1`);
+  const field = opt("RECONCILE_FIELD", mapping.names.status || "");
+  if (mode === "flag" && !field) throw configError(`RECONCILE=flag needs RECONCILE_FIELD (no status field is mapped)`);
+  const raw = opt("RECONCILE_VALUE", "Removed from DRS");
+  const value = raw === "true" ? true : raw === "false" ? false : raw;
+  const own = Boolean(field) && !Object.values(mapping.names).includes(field);
+  return { mode, field, value, maxRatio, own };
+}
+
+// Rewrites orphan entries of a plan in place into flag / delete / unchanged.
+// Returns the pass summary; when it is aborted the orphans are left as they are.
+// A fanned-out plan (entries carry `sink`) is reconciled per sink, summed up.
+export function reconcilePlan(diff, cfg){
+  const names = [...new Set(diff.map(d => d.sink).filter(Boolean))];
+  if (!names.length) return reconcileOne(diff, cfg);
+  const sinks = Object.fromEntries(names.map(n => [n, reconcileOne(diff.filter(d => d.sink === n), cfg)]));
+  const passes = Object.values(sinks);
+  const orphans = passes.reduce((n, p) => n + p.orphans, 0), existing = passes.reduce((n, p) => n + p.existing, 0);
+  const aborted = names.filter(n => sinks[n].aborted).map(n => `${n}: ${sinks[n].aborted}`).join("; ");
+  return { mode: cfg.mode, orphans, existing, ratio: Number((existing ? orphans / existing : 0).toFixed(3)), sinks, ...(aborted ? { aborted } : {}) };
+}
+
+function reconcileOne(diff, cfg){
+  const existing = diff.filter(d => d.id).length;
+  const orphans = diff.filter(d => d.action === "orphan");
+  const ratio = existing ? orphans.length / existing : 0;
+  const summary = { mode: cfg.mode, orphans: orphans.length, existing, ratio: Number(ratio.toFixed(3)) };
+  if (cfg.mode === "off" || !orphans.length) return summary;
+  if (ratio > cfg.maxRatio) {
+    return { ...summary, aborted: `${orphans.length} of ${existing} records would be ${cfg.mode === "delete" ? "deleted" : "flagged"} (> RECONCILE_MAX_RATIO ${cfg.maxRatio}); is the source empty because of an auth or scrape failure?` };
+  }
+
+  for (const d of orphans) {
+    if (cfg.mode === "delete") { d.action = "delete"; continue; }
+    const current = d.fields[cfg.field];
+    if (String(current ?? "") === String(cfg.value)) { d.action = "unchanged"; continue; }
+    d.action = "flag";
+    d.changes = { [cfg.field]: [String(current ?? ""), String(cfg.value)] };
+    d.fields = { [cfg.field]: cfg.value };
+  }
+  // un-flag records that are back in the source
+  if (cfg.mode === "flag" && cfg.own) {
+    for (const d of diff) {
+      if (!["create", "update", "unchanged"].includes(d.action)) continue;
+      if (d.id && d.current && String(d.current[cfg.field] ?? "") === String(cfg.value)) {
+        d.fields = { ...d.fields, [cfg.field]: typeof cfg.value === "boolean" ? false : "" };
+        d.changes = { ...d.changes, [cfg.field]: [String(cfg.value), ""] };
+        d.action = "update";
+      }
+    }
+  }
+  return summary;
+}
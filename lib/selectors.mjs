@@ -0,0 +1,69 @@
+// Every CSS / Playwright selector the DRS page objects (pages.mjs) use, in one place.
+// Each entry is a list tried in order; "{name}" is filled in by the caller (a tab
+// or report name). When DRS changes its markup, fix it here — or without a code
+// change via DRS_SELECTORS=overrides.json, whose entries replace the defaults:
+//   { "orders": { "table": ["table#orderList"] }, "reports": { "exportCsv": ["#btnExport"] } }
+// Saved DRS pages in test/fixtures/drs pin what the registry has to match (npm test);
+// save the new markup there along with the fix.
+
+import fs from "node:fs";
+import { opt, configError } from "./env.mjs";
+
+export const SELECTORS = {
+  login: {
+    user:      ['input[placeholder="Username"]', 'input[name="username"]', 'input#username', 'input[autocomplete="username"]', 'input[name="email"]', 'input[type="email"]'],
+    password:  ['input[placeholder="Password"]', 'input[name="password"]', 'input#password', 'input[type="password"]'],
+    submit:    ['button:has-text("Sign in")', 'button:has-text("Log in")', 'button:has-text("Login")', 'button[type="submit"]', 'input[type="submit"]'],
+    loggedIn:  ['a:has-text("Logout")', 'button:has-text("Logout")', 'a:has-text("Log out")'],
+    challenge: ['iframe[src*="captcha"]', '.g-recaptcha', '.h-captcha', '[data-sitekey]', 'input[autocomplete="one-time-code"]']
+  },
+  nav: {
+    reports:   ['a:has-text("Reports")', 'button:has-text("Reports")', 'nav >> text=Reports', 'text=Reports']
+  },
+  reports: {
+    report:    ['a:has-text("{name}")', 'button:has-text("{name}")', '[role="tab"]:has-text("{name}")', 'option:has-text("{name}")'],
+    tab:       ['button:has-text("{name}")', 'a:has-text("{name}")', '[role="tab"]:has-text("{name}")', 'text=/^\\s*{name}\\s*$/'],
+    date:      ['input[type="date"]', 'input[name="date"]', '#date', 'input[name="start"]', '#start_date', 'input[name="from"]'],
+    dateLike:  ['input[type="text"]'], // fallback: a text box already holding MM/DD/YYYY
+    exportCsv: ['button:has-text("Export To CSV")', 'a:has-text("Export To CSV")', 'button:has-text("CSV")', 'a:has-text("CSV")', 'text=/Export\\s*To\\s*CSV/i']
+  },
+  orders: {
+    start:     ['input[name="start"]', 'input[name="from"]', 'input#start_date', 'input#date'],
+    end:       ['input[name="end"]', 'input[name="to"]', 'input#end_date'],
+    filter:    ['button:has-text("Filter")', 'button:has-text("Apply")', 'button:has-text("Search")', 'input[type="submit"]'],
+    table:     ['table#orders', 'table.orders', '[data-table="orders"] table', 'table[data-table="orders"]'], // tried before guessing
+    anyTable:  ['table'],
+    showAll:   ['a:has-text("Show all")', 'button:has-text("Show all")', 'a:has-text("View all")', 'button:has-text("View all")'],
+    pageSize:  ['select[name$="_length"]', 'select[name="per_page"]', 'select[name="limit"]', 'select[name="page_size"]'], // picks "All" or the largest
+    next:      ['a[rel="next"]', '.paginate_button.next', '.pagination .next a', '.pagination a:has-text("Next")', 'a:has-text("Next ›")', 'button:has-text("Next")', 'a:has-text("Next")']
+  },
+  detail: {
+    root:      ['main', '#content', '.content', 'body'] // where an order page's label/value pairs live
+  }
+};
+
+let loaded = null;
+
+// The registry with DRS_SELECTORS overrides applied (read once)
+export function selectors(file = opt("DRS_SELECTORS")){
+  if (loaded && loaded.file === file) return loaded.value;
+  const value = structuredClone(SELECTORS);
+  if (file) {
+    let json;
+    try { json = JSON.parse(fs.readFileSync(file, "utf8")); } catch (e) { throw configError(`DRS_SELECTORS ${file}: ${e.message}`); }
+    const errors = [];
+    for (const [group, entries] of Object.entries(json || {})) {
+      for (const [key, list] of Object.entries(entries || {})) {
+        if (!value[group]?.[key]) errors.push(`${group}.${key} is not a known selector`);
+        else if (!Array.isArray(list) || !list.length || !list.every(s => typeof s === "string")) errors.push(`${group}.${key} must be a non-empty list of strings`);
+        else value[group][key] = list;
+      }
+    }
+    if (errors.length) throw configError(`DRS_SELECTORS ${file}:\n  ${errors.join("\n  ")}`);
+  }
+  loaded = { file, value };
+  return value;
+}
+
+// A registry entry with "{name}" filled in
+export function fill(list, name = ""){ return list.map(s => s.split("{name}").join(name)); }
@@ -0,0 +1,142 @@
+// Rolling spreadsheet sink (see sink.mjs): the same records as Airtable in files
+// Google Sheets and Excel open as they are.
+//   csv   one CSV per period: SHEET_DIR/orders-2025-11.csv (UTF-8 with BOM, CRLF)
+//   xlsx  one workbook, SHEET_DIR/orders.xlsx, with a sheet per period (needs exceljs)
+//   SHEET_DIR   = where they go (default .drs-state/sheets)
+//   SHEET_ROLL  = month (default) | year | all — how much one file / sheet holds
+//
+// Rows are sorted by Date, then Order #; columns follow the mapping, then any
+// extra column (e.g. a RECONCILE_FIELD) in the order it first appeared. Cells
+// that a spreadsheet would run as a formula get a leading ' (stripped again on read).
+// Files are rewritten whole through a temp file, so a crash never leaves half a sheet.
+
+import fs from "node:fs";
+import path from "node:path";
+import { opt, configError } from "./env.mjs";
+import { parseCSV } from "./csv.mjs";
+import { keyOf, storeSink, optionalImport } from "./sink.mjs";
+
+const ROLLS = { month: d => d.slice(0, 7), year: d => d.slice(0, 4), all: () => "all" };
+
+export function sheetFromEnv({ mapping, format = "csv" }){
+  return sheetSink({ mapping, format, dir: opt("SHEET_DIR", ".drs-state/sheets"), roll: opt("SHEET_ROLL", "month") });
+}
+
+export function sheetSink({ mapping, dir, format = "csv", roll = "month" }){
+  if (!ROLLS[roll]) throw configError(`SHEET_ROLL must be ${Object.keys(ROLLS).join(", ")} (got "${roll}")`);
+  if (!["csv", "xlsx"].includes(format)) throw configError(`sheet format must be csv or xlsx (got "${format}")`);
+  const period = ROLLS[roll];
+  const io = format === "xlsx" ? xlsxIO(path.join(dir, "orders.xlsx")) : csvIO(dir);
+  const { date, order } = mapping.names;
+  const columns = [...Object.values(mapping.names), ...(mapping.raw ? [mapping.raw] : [])];
+
+  async function list(dates){
+    const out = new Map(), want = new Set(dates);
+    for (const [, { rows }] of await io.read([...new Set(dates.map(period))])) {
+      for (const row of rows) {
+        if (!want.has(row[date])) continue;
+        const key = keyOf(row[date], row[order]);
+        out.set(key, { id: key, fields: Object.fromEntries(Object.entries(row).filter(([, v]) => v !== "")) });
+      }
+    }
+    return out;
+  }
+
+  async function write({ create, update, remove }){
+    const touched = [...create, ...update, ...remove];
+    const sheets = await io.read([...new Set(touched.map(d => period(d.date)))]);
+    const byKey = new Map();
+    for (const [p, sheet] of sheets) for (const row of sheet.rows) byKey.set(keyOf(row[date], row[order]), { p, row });
+
+    for (const d of create) {
+      const p = period(d.date);
+      byKey.set(keyOf(d.date, d.order), { p, row: strings(d.fields) });
+    }
+    for (const d of update) { const hit = byKey.get(d.id); if (hit) Object.assign(hit.row, strings(d.fields)); }
+    for (const d of remove) byKey.delete(d.id);
+
+    for (const [p, sheet] of sheets) {
+      const rows = [...byKey.values()].filter(e => e.p === p).map(e => e.row)
+        .sort((a, b) => String(a[date]).localeCompare(String(b[date])) || String(a[order]).localeCompare(String(b[order]), undefined, { numeric: true }));
+      const headers = [...new Set([...columns, ...sheet.headers, ...rows.flatMap(Object.keys)])];
+      sheets.set(p, { headers, rows });
+    }
+    await io.write(sheets);
+  }
+
+  const where = format === "xlsx" ? path.join(dir, "orders.xlsx") : dir;
+  return storeSink({ name: format, table: where, mapping, store: { list, write } });
+}
+
+// read(periods) → Map period → { headers, rows: [{ column: "text" }] };  write(that Map)
+function csvIO(dir){
+  const file = p => path.join(dir, p === "all" ? "orders.csv" : `orders-${p}.csv`);
+  return {
+    async read(periods){
+      const out = new Map();
+      for (const p of periods) {
+        if (!fs.existsSync(file(p))) { out.set(p, { headers: [], rows: [] }); continue; }
+        const [headers = [], ...lines] = parseCSV(fs.readFileSync(file(p), "utf8"));
+        out.set(p, { headers, rows: lines.map(cells => Object.fromEntries(headers.map((h, i) => [h, unguard(cells[i] ?? "")]))) });
+      }
+      return out;
+    },
+    async write(sheets){
+      fs.mkdirSync(dir, { recursive: true });
+      for (const [p, { headers, rows }] of sheets) {
+        const lines = [headers, ...rows.map(r => headers.map(h => r[h] ?? ""))].map(r => r.map(csvCell).join(","));
+        atomicWrite(file(p), "\uFEFF" + lines.join("\r\n") + "\r\n");
+      }
+    }
+  };
+}
+
+function xlsxIO(file){
+  async function book(){
+    const { default: ExcelJS } = await optionalImport("exceljs", "SINKS=xlsx");
+    const wb = new ExcelJS.Workbook();
+    if (fs.existsSync(file)) await wb.xlsx.readFile(file);
+    return wb;
+  }
+  return {
+    async read(periods){
+      const wb = await book(), out = new Map();
+      for (const p of periods) {
+        const ws = wb.getWorksheet(p);
+        if (!ws) { out.set(p, { headers: [], rows: [] }); continue; }
+        const headers = [];
+        ws.getRow(1).eachCell({ includeEmpty: true }, (cell, i) => { headers[i - 1] = cell.text; });
+        const rows = [];
+        for (let r = 2; r <= ws.rowCount; r++) {
+          const row = ws.getRow(r);
+          const obj = Object.fromEntries(headers.map((h, i) => [h, row.getCell(i + 1).text ?? ""]));
+          if (Object.values(obj).some(v => v !== "")) rows.push(obj);
+        }
+        out.set(p, { headers, rows });
+      }
+      return out;
+    },
+    async write(sheets){
+      const wb = await book();
+      for (const [p, { headers, rows }] of sheets) {
+        const old = wb.getWorksheet(p);
+        if (old) wb.removeWorksheet(old.id);
+        const ws = wb.addWorksheet(p, { views: [{ state: "frozen", ySplit: 1 }] });
+        ws.addRow(headers).font = { bold: true };
+        for (const r of rows) ws.addRow(headers.map(h => r[h] ?? ""));
+      }
+      wb.worksheets.sort((a, b) => a.name.localeCompare(b.name)).forEach((ws, i) => { ws.orderNo = i; });
+      fs.mkdirSync(path.dirname(file), { recursive: true });
+      await wb.xlsx.writeFile(`${file}.tmp`);
+      fs.renameSync(`${file}.tmp`, file);
+    }
+  };
+}
+
+// ---------- helpers ----------
+function strings(fields){ return Object.fromEntries(Object.entries(fields).map(([k, v]) => [k, v == null ? "" : String(v)])); }
+function atomicWrite(file, text){ fs.writeFileSync(`${file}.tmp`, text, "utf8"); fs.renameSync(`${file}.tmp`, file); }
+// same guard as the Worker's CSV: =, @, tab, CR, or +/- not followed by a phone-like number
+function guard(s){ return /^[=@\t\r]/.test(s) || (/^[+-]/.test(s) && !/^[+-][\d\s().-]*$/.test(s)) ? `'${s}` : s; }
+function unguard(s){ return /^'(?:[=@\t\r]|[+-](?![\d\s().-]*$))/.test(s) ? s.slice(1) : s; }
+function csvCell(v){ const s = guard(String(v)); return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s; }
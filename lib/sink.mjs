@@ -0,0 +1,94 @@
+// What every sink shares. A sink stores one record per order, keyed by (Date + Order #),
+// with the mapped columns as fields (mapping.names), and offers
+//   plan(orders, dates) → per-record diff: create | update | unchanged | orphan
+//   apply(diff)         → { created, updated, flagged, deleted, failed }; failed entries get
+//                         `failed` (the error), and `parked` when a retry file holds them
+//   replayRetries()     → optional, batches a previous run could not write
+// sync.mjs only talks to that. airtable.mjs implements it over REST; storeSink()
+// builds it for anything that can list records by date and write a batch
+// (sql.mjs, sheet.mjs). sinks.mjs picks sinks from SINKS= and fans out.
+
+import { configError } from "./env.mjs";
+
+export function keyOf(date, order){ return `${date}|${String(order ?? "").trim().replace(/^#\s*/, "")}`; }
+
+// The fields a sink stores for an order: mapped columns (+ the raw JSON column)
+export function recordOf(o, mapping){
+  const rec = {};
+  for (const [k, name] of Object.entries(mapping.names)) rec[name] = o[k] ?? "";
+  if (mapping.raw) rec[mapping.raw] = JSON.stringify(o.raw ?? null);
+  return rec;
+}
+
+// Per-record diff of orders against `existing` (Map "date|order" → { id, fields }),
+// the sink's records for the planned dates. Orphans are records the source no
+// longer has; they are left untouched unless reconcilePlan() turns them into flag / delete.
+export function planDiff(orders, existing, mapping){
+  const { date, order } = mapping.names;
+  const diff = [], keep = new Set();
+  for (const o of orders) {
+    const key = keyOf(o.date, o.order), rec = recordOf(o, mapping), hit = existing.get(key);
+    keep.add(key);
+    if (!hit) { diff.push({ action: "create", date: o.date, order: o.order, fields: rec, changes: changesOf({}, rec) }); continue; }
+    const changes = changesOf(hit.fields, rec);
+    diff.push({ action: Object.keys(changes).length ? "update" : "unchanged", id: hit.id, date: o.date, order: o.order, fields: rec, changes, current: hit.fields });
+  }
+  for (const [key, hit] of existing) {
+    if (!keep.has(key)) diff.push({ action: "orphan", id: hit.id, date: hit.fields[date], order: hit.fields[order], fields: hit.fields, changes: {} });
+  }
+  return diff;
+}
+
+// { field: [from, to] } for every field whose value would change.
+// Missing and "" are equal (Airtable omits empty cells, spreadsheets can't tell).
+export function changesOf(current, next){
+  const out = {};
+  for (const k of Object.keys(next)) {
+    const a = String(current[k] ?? "").trim(), b = String(next[k] ?? "").trim();
+    if (a !== b) out[k] = [a, b];
+  }
+  return out;
+}
+
+// A sink over a store with
+//   list(dates)                       → Map "date|order" → { id, fields }
+//   write({ create, update, remove }) → writes diff entries all or nothing (flags come as updates
+//                                       carrying only the flagged field)
+// A failed write marks its entries `failed`; the sync state keeps them out, so the
+// next run plans them again.
+export function storeSink({ name, table, mapping, store }){
+  async function plan(orders, dates = [...new Set(orders.map(o => o.date))]){
+    if (!dates.length) return [];
+    return planDiff(orders, await store.list(dates), mapping);
+  }
+
+  async function apply(diff){
+    const of = a => diff.filter(d => d.action === a);
+    const create = of("create"), update = of("update"), flag = of("flag"), remove = of("delete");
+    const all = [...create, ...update, ...flag, ...remove];
+    if (!all.length) return { created: 0, updated: 0, flagged: 0, deleted: 0, failed: 0 };
+    try {
+      await store.write({ create, update: [...update, ...flag], remove });
+    } catch (e) {
+      for (const d of all) d.failed = e.message;
+      return { created: 0, updated: 0, flagged: 0, deleted: 0, failed: all.length, error: `${name}: ${e.message}` };
+    }
+    return { created: create.length, updated: update.length, flagged: flag.length, deleted: remove.length, failed: 0 };
+  }
+
+  async function upsert(orders, dates){
+    const diff = await plan(orders, dates);
+    return { ...(await apply(diff)), unchanged: diff.filter(d => d.action === "unchanged").length };
+  }
+
+  return { name, table, fields: mapping.names, toFields: o => recordOf(o, mapping), plan, apply, upsert };
+}
+
+// import() of a driver that isn't a dependency of this repo, with an install hint
+export async function optionalImport(pkg, why){
+  try { return await import(pkg); }
+  catch (e) {
+    if (e.code === "ERR_MODULE_NOT_FOUND" && String(e.message).includes(`'${pkg}'`)) throw configError(`${why} needs the "${pkg}" package: npm install ${pkg}`);
+    throw e;
+  }
+}
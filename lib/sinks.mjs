@@ -0,0 +1,69 @@
+// Where synced orders go (see sink.mjs for what a sink is).
+//   SINKS = comma list, default "airtable":
+//     airtable  Airtable REST (AIRTABLE_*, see airtable.mjs)
+//     sqlite    SQLITE_FILE, SQL_TABLE (see sql.mjs)
+//     postgres  POSTGRES_URL, SQL_TABLE (see sql.mjs)
+//     csv       rolling CSV files in SHEET_DIR (see sheet.mjs)
+//     xlsx      rolling workbook in SHEET_DIR (see sheet.mjs)
+//
+// With several, every sink gets the same orders and is planned against its own
+// contents; the plan's entries carry `sink`, so a sync's planned / days counts and
+// reconciliation (see reconcilePlan) are per sink, and one sink failing doesn't
+// stop the others.
+// --fixture stands in for Airtable only.
+
+import { opt, configError } from "./env.mjs";
+import { airtableFromEnv } from "./airtable.mjs";
+import { sqliteFromEnv, postgresFromEnv } from "./sql.mjs";
+import { sheetFromEnv } from "./sheet.mjs";
+
+export const SINKS = {
+  airtable: ({ mapping, fixture }) => airtableFromEnv({ mapping, fixture }),
+  sqlite:   ({ mapping }) => sqliteFromEnv({ mapping }),
+  postgres: ({ mapping }) => postgresFromEnv({ mapping }),
+  csv:      ({ mapping }) => sheetFromEnv({ mapping, format: "csv" }),
+  xlsx:     ({ mapping }) => sheetFromEnv({ mapping, format: "xlsx" })
+};
+
+export function sinksFromEnv({ mapping, fixture, sinks = opt("SINKS", "airtable") }){
+  const names = [...new Set(String(sinks).split(",").map(s => s.trim().toLowerCase()).filter(Boolean))];
+  const unknown = names.filter(n => !SINKS[n]);
+  if (unknown.length || !names.length) throw configError(`SINKS: unknown sink ${unknown.join(", ") || "(none)"}; use ${Object.keys(SINKS).join(", ")}`);
+  const list = names.map(n => SINKS[n]({ mapping, fixture }));
+  return list.length === 1 ? list[0] : fanOut(list);
+}
+
+// Several sinks behind the one-sink interface
+export function fanOut(sinks){
+  async function plan(orders, dates){
+    const parts = await Promise.all(sinks.map(s => s.plan(orders, dates)));
+    return parts.flatMap((diff, i) => diff.map(d => ({ ...d, sink: sinks[i].name })));
+  }
+
+  async function apply(diff){
+    const out = { created: 0, updated: 0, flagged: 0, deleted: 0, failed: 0, sinks: {} };
+    for (const s of sinks) {
+      const r = await s.apply(diff.filter(d => d.sink === s.name));
+      out.sinks[s.name] = r;
+      for (const k of ["created", "updated", "flagged", "deleted", "failed"]) out[k] += r[k] || 0;
+      if (r.retryFile) out.retryFile = r.retryFile;
+    }
+    return out;
+  }
+
+  async function replayRetries(){
+    const out = { replayed: 0, stillFailing: 0, dropped: 0 };
+    for (const s of sinks.filter(s => s.replayRetries)) {
+      const r = await s.replayRetries();
+      out.replayed += r.replayed; out.stillFailing += r.stillFailing; out.dropped += r.dropped || 0;
+    }
+    return out;
+  }
+
+  return {
+    name: sinks.map(s => s.name).join("+"),
+    table: sinks.map(s => `${s.name}: ${s.table}`).join(", "),
+    fields: sinks[0].fields,
+    sinks, plan, apply, replayRetries
+  };
+}
@@ -0,0 +1,112 @@
+// Local sync state, kept between hourly runs (the workflows cache the file):
+//   orders   "date|order" (the sinks' key, see keyOf) → { order, date, hash, fields, firstSeen, lastSeen }
+//   history  field-level changes: { at, order, date, event, field?, from?, to? }
+//            event = created | changed | removed
+// The content hash does not save API calls: every run still lists the sink's records
+// and plans against them, and a record that already matches is never written anyway.
+// What it changes is one case: a record whose DRS content is the same as at the last
+// successful write but whose stored copy differs (edited by hand in Airtable, say) is
+// left as it is ("unchanged", skipped: "state") instead of being overwritten. The hand
+// edit lasts until the order changes in DRS. STATE_FILE=off overwrites such edits again.
+// An Order # that moved to another date is matched to its old entry (see previous()),
+// so its history shows a date change rather than a new order.
+//
+//   STATE_FILE         = path (default .drs-state/state.json); "off" disables
+//   STATE_HISTORY_MAX  = history entries kept, oldest dropped first (default 5000)
+
+import fs from "node:fs";
+import path from "node:path";
+import crypto from "node:crypto";
+import { opt } from "./env.mjs";
+import { keyOf } from "./sink.mjs";
+
+export const DEFAULT_STATE = ".drs-state/state.json";
+
+export function stateFromEnv(){
+  const file = opt("STATE_FILE", DEFAULT_STATE);
+  return file === "off" ? null : openState(file);
+}
+
+export function openState(file, { historyMax = Number(opt("STATE_HISTORY_MAX", "5000")) } = {}){
+  let data = { version: 2, orders: {}, history: [] };
+  if (fs.existsSync(file)) data = { ...data, ...JSON.parse(fs.readFileSync(file, "utf8")) };
+  if (data.version === 1) {
+    // version 1 was keyed by Order # alone
+    data.orders = Object.fromEntries(Object.entries(data.orders).map(([order, e]) => [keyOf(e.date, order), { order, ...e }]));
+    data.version = 2;
+  }
+
+  function hashOf(o, mapping){
+    const fields = logical(o, mapping);
+    if (mapping.raw) fields.raw = o.raw;
+    return crypto.createHash("sha1").update(JSON.stringify([mapping.names, fields])).digest("hex");
+  }
+
+  // true when the last successful write stored exactly this content
+  function unchanged(o, mapping){
+    const prev = data.orders[keyOf(o.date, o.order)];
+    return Boolean(prev) && prev.hash === hashOf(o, mapping);
+  }
+
+  // Every entry for one Order #, by date
+  function find(order){
+    return Object.values(data.orders).filter(e => keyOf("", e.order) === keyOf("", order)).sort((a, b) => a.date.localeCompare(b.date));
+  }
+
+  // What the state last stored for o: its own (date, order) entry, else — when the
+  // order moved — the latest entry for the same Order # on a date that `current`
+  // (the batch o comes from) doesn't have. null for an order never seen.
+  function previous(o, current = [o]){
+    const own = data.orders[keyOf(o.date, o.order)];
+    if (own) return own;
+    const keys = new Set(current.map(c => keyOf(c.date, c.order)));
+    const moved = find(o.order).filter(e => !keys.has(keyOf(e.date, e.order)));
+    return moved.sort((a, b) => a.lastSeen.localeCompare(b.lastSeen)).pop() || null;
+  }
+
+  // After a successful write: store hashes and append field-level history
+  function record(orders, mapping, { at = new Date().toISOString(), removed = [] } = {}){
+    const recorded = new Set();
+    for (const o of orders) {
+      const fields = logical(o, mapping), key = keyOf(o.date, o.order);
+      const prev = previous(o, orders);
+      if (!prev) data.history.push({ at, order: o.order, date: o.date, event: "created" });
+      else {
+        for (const k of new Set([...Object.keys(prev.fields), ...Object.keys(fields)])) {
+          const from = String(prev.fields[k] ?? ""), to = String(fields[k] ?? "");
+          if (from !== to) data.history.push({ at, order: o.order, date: o.date, event: "changed", field: k, from, to });
+        }
+      }
+      data.orders[key] = { order: String(o.order), date: o.date, hash: hashOf(o, mapping), fields, firstSeen: prev?.firstSeen || at, lastSeen: at };
+      recorded.add(key);
+    }
+    for (const { order, date } of removed) {
+      const key = keyOf(date, order);
+      if (!data.orders[key] || recorded.has(key)) continue;
+      data.history.push({ at, order: data.orders[key].order, date, event: "removed" });
+      delete data.orders[key];
+    }
+    if (data.history.length > historyMax) data.history = data.history.slice(-historyMax);
+  }
+
+  function save(){
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data, null, 1), "utf8");
+    fs.renameSync(tmp, file);
+  }
+
+  // History filtered by order number and/or date (YYYY-MM-DD), oldest first
+  function history({ order, date } = {}){
+    return data.history.filter(h => (!order || h.order === String(order).replace(/^#/, "") || h.order.startsWith(`${order}-`)) && (!date || h.date === date));
+  }
+
+  return { file, hashOf, unchanged, record, save, history, find, previous, get: (date, order) => data.orders[keyOf(date, order)] || null, empty: () => !Object.keys(data.orders).length };
+}
+
+// Mapped fields without the raw source row
+function logical(o, mapping){
+  const out = {};
+  for (const k of Object.keys(mapping.names)) out[k] = o[k] ?? "";
+  return out;
+}
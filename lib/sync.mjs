@@ -0,0 +1,78 @@
+// The one pipeline every adapter feeds:
+//   source rows → [line items] → normalizeOrder → normalizeRecord → drop blanks → key + de-dupe → sink.plan → sink.apply
+// Adapters (browser table, Worker JSON, CSV) only produce rows and a date; the sink
+// (Airtable, SQL, spreadsheet or several at once, see sinks.mjs) only stores records.
+// With dryRun the plan (per-record diff) is returned and nothing is written.
+// reconcile (see reconcile.mjs) flags or deletes records the source no longer has.
+// state (see state.mjs) records field-level history after a successful write, and
+// leaves records edited in the sink alone while their DRS content is unchanged.
+// webhooks (see webhooks.mjs) announce created / status / date+address changes,
+// judged against the state, once the write went through.
+// Writes that failed and no retry file holds (any sink but Airtable) make it throw
+// with EXIT.partial once the rest is done; the error carries the result.
+
+import { normalizeOrder, expandLineItems, isBlank, withKey } from "./order.mjs";
+import { normalizeRecord } from "./normalize.mjs";
+import { reconcilePlan } from "./reconcile.mjs";
+import { configError, EXIT } from "./env.mjs";
+
+// dates: every day the source covers (defaults to [date]) so orphans on empty days show up too
+export async function syncOrders(rows, { date, dates = [date], mapping, sink, reconcile = { mode: "off" }, state = null, webhooks = null, dryRun = false }){
+  if (webhooks && !state) throw configError("WEBHOOK_URLS needs the sync state to tell what changed (STATE_FILE is off)");
+  const { enabled, path } = mapping.lineItems;
+  const orders = (enabled ? rows.flatMap(r => expandLineItems(r, path)) : rows)
+    .map(r => normalizeRecord(normalizeOrder(r, { date, mapping }), mapping.normalize)).filter(o => !isBlank(o, mapping)).map(withKey);
+  // no fallback date (multi-day source) and none in the row: can't be keyed, so counted and skipped
+  const dated = orders.filter(o => o.date);
+
+  const seen = new Set(), unique = [];
+  for (const o of dated) {
+    const key = `${o.date}|${o.order}`;
+    if (!seen.has(key)) { seen.add(key); unique.push(o); }
+  }
+
+  // batches that failed last run go first, so the plan below already sees them
+  const replay = !dryRun && sink.replayRetries ? await sink.replayRetries() : null;
+  const diff = await sink.plan(unique, [...new Set([...dates, ...unique.map(o => o.date)])]);
+  const pass = reconcilePlan(diff, reconcile);
+  if (state) {
+    const byKey = new Map(unique.map(o => [`${o.date}|${o.order}`, o]));
+    for (const d of diff) {
+      if (d.action === "update" && state.unchanged(byKey.get(`${d.date}|${d.order}`), mapping)) { d.action = "unchanged"; d.skipped = "state"; }
+    }
+  }
+  // a fanned-out plan has every order once per sink, so its counts go per sink: { csv: { create: 2 }, ... }
+  const planned = {}, days = {};
+  const count = (to, d) => { const at = d.sink ? (to[d.sink] ||= {}) : to; at[d.action] = (at[d.action] || 0) + 1; };
+  for (const d of diff) { count(planned, d); count(days[d.date] ||= {}, d); }
+
+  const undated = orders.length - dated.length;
+  const out = { fetched: rows.length, kept: unique.length, duplicates: dated.length - unique.length, ...(undated ? { undated } : {}), planned, days, reconcile: pass };
+  if (dryRun) return { ...out, dryRun: true, diff, ...(webhooks ? { events: webhooks.diff(unique, state, mapping) } : {}) };
+  const result = { ...out, ...(await sink.apply(diff)), ...(replay?.replayed || replay?.stillFailing || replay?.dropped ? { retries: replay } : {}) };
+  if (state) {
+    // failed writes stay out of the state so the next run tries them again
+    const failed = new Set(diff.filter(d => d.failed).map(d => `${d.date}|${d.order}`));
+    const written = unique.filter(o => !failed.has(`${o.date}|${o.order}`));
+    const events = webhooks ? webhooks.diff(written, state, mapping) : [];
+    state.record(written, mapping, {
+      removed: diff.filter(d => (d.action === "flag" || d.action === "delete") && !d.failed)
+    });
+    state.save();
+    if (webhooks) result.webhooks = await webhooks.send(events);
+  }
+  if (pass.aborted) {
+    const e = new Error(`Reconciliation aborted: ${pass.aborted}\n${JSON.stringify(result)}`);
+    e.exitCode = EXIT.reconcile;
+    throw e;
+  }
+  const lost = diff.filter(d => d.failed && !d.parked);
+  if (lost.length) {
+    const why = [...new Set(lost.map(d => (d.sink ? `${d.sink}: ${d.failed}` : d.failed)))].join("; ");
+    const e = new Error(`${lost.length} write(s) failed: ${why}\n${JSON.stringify(result)}`);
+    e.exitCode = EXIT.partial;
+    e.result = result;
+    throw e;
+  }
+  return result;
+}
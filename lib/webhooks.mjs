@@ -0,0 +1,112 @@
+// Outbound notifications for order changes, worked out from the sync state
+// (the last successfully written copy of each order, see state.mjs):
+//   order.created         an Order # the state has never seen
+//   order.status_changed  status differs from the last write
+//   order.rescheduled     date or address differs from the last write; an Order # that left
+//                         its old date for a new one counts too (see previous() in state.mjs),
+//                         one that shows up on an extra date while still on the old one doesn't
+// Events go out after the Airtable write, only for orders that were written.
+// A dry run lists them without sending. The very first run (empty state) sends
+// nothing, so seeding the state doesn't announce every open order.
+//
+//   WEBHOOK_URLS        = comma list of URLs; each event is POSTed to every URL
+//   WEBHOOK_SECRET      = HMAC-SHA256 key; body signature in X-DRS-Signature-256: sha256=<hex>
+//   WEBHOOK_FORMAT      = json (default) | slack ({ text } for Slack incoming webhooks)
+//   WEBHOOK_EVENTS      = comma list to send only some event types (default all)
+//   WEBHOOK_RETRIES     = retries on network errors / 429 / 5xx (default 3)
+//   WEBHOOK_TIMEOUT_MS  = per-request timeout (default 10000)
+//
+// JSON payload: { id, type, at, order: { order, date, customer, ... }, changes: { field: [from, to] } }
+
+import crypto from "node:crypto";
+import { opt, configError } from "./env.mjs";
+
+export const EVENTS = ["order.created", "order.status_changed", "order.rescheduled"];
+const sleep = ms => new Promise(r => setTimeout(r, ms));
+
+export function webhooksFromEnv(){
+  const urls = opt("WEBHOOK_URLS").split(",").map(s => s.trim()).filter(Boolean);
+  if (!urls.length) return null;
+  const events = opt("WEBHOOK_EVENTS").split(",").map(s => s.trim()).filter(Boolean);
+  return webhookSender({
+    urls, events: events.length ? events : EVENTS,
+    secret: opt("WEBHOOK_SECRET"),
+    format: opt("WEBHOOK_FORMAT", "json"),
+    retries: Number(opt("WEBHOOK_RETRIES", "3")),
+    timeoutMs: Number(opt("WEBHOOK_TIMEOUT_MS", "10000"))
+  });
+}
+
+export function webhookSender({ urls, secret = "", format = "json", events = EVENTS, retries = 3, timeoutMs = 10000 }){
+  const bad = events.filter(e => !EVENTS.includes(e));
+  if (bad.length) throw configError(`WEBHOOK_EVENTS: unknown ${bad.join(", ")} (use ${EVENTS.join(", ")})`);
+  if (!["json", "slack"].includes(format)) throw configError(`WEBHOOK_FORMAT must be json or slack, got "${format}"`);
+  for (const u of urls) { try { new URL(u); } catch { throw configError(`WEBHOOK_URLS: not a URL: ${u}`); } }
+
+  // Events for orders about to be written, compared with what the state last stored
+  function diff(orders, state, mapping, { at = new Date().toISOString() } = {}){
+    if (!state || state.empty()) return [];
+    const out = [], announced = new Set();
+    const add = (type, o, changes) => {
+      if (!events.includes(type)) return;
+      const order = { order: o.order, date: o.date };
+      for (const k of Object.keys(mapping.names)) order[k] = o[k] ?? "";
+      out.push({ id: crypto.randomUUID(), type, at, order, changes });
+    };
+    for (const o of orders) {
+      const prev = state.previous(o, orders);
+      if (!prev) {
+        if (!state.find(o.order).length && !announced.has(o.order)) add("order.created", o, {});
+        announced.add(o.order);
+        continue;
+      }
+      const was = { ...prev.fields, date: prev.date };
+      const changed = k => String(was[k] ?? "") !== String(o[k] ?? "");
+      if (changed("status")) add("order.status_changed", o, { status: [was.status ?? "", o.status ?? ""] });
+      const moved = ["date", "address"].filter(changed);
+      if (moved.length) add("order.rescheduled", o, Object.fromEntries(moved.map(k => [k, [was[k] ?? "", o[k] ?? ""]])));
+    }
+    return out;
+  }
+
+  // POSTs every event to every URL; a delivery that still fails after retries is
+  // counted and reported, never thrown — notifications must not fail the sync
+  async function send(list){
+    const failures = [];
+    let delivered = 0;
+    for (const ev of list) {
+      const body = JSON.stringify(format === "slack" ? slackPayload(ev) : ev);
+      const headers = { "Content-Type": "application/json", "User-Agent": "drs-order-sync", "X-DRS-Event": ev.type, "X-DRS-Delivery": ev.id };
+      if (secret) headers["X-DRS-Signature-256"] = `sha256=${crypto.createHmac("sha256", secret).update(body).digest("hex")}`;
+      for (const url of urls) {
+        const err = await post(url, { method: "POST", headers, body });
+        if (err) failures.push({ url, id: ev.id, type: ev.type, order: ev.order.order, error: err }); else delivered++;
+      }
+    }
+    return { events: list.length, delivered, failed: failures.length, ...(failures.length ? { failures } : {}) };
+  }
+
+  // "" on success, else the last error
+  async function post(url, init){
+    for (let attempt = 0; ; attempt++) {
+      let r = null, err = "";
+      try { r = await fetch(url, { ...init, signal: AbortSignal.timeout(timeoutMs) }); } catch (e) { err = e.message; }
+      if (r?.ok) return "";
+      if (r) err = `${r.status} ${(await r.text().catch(() => "")).slice(0, 200)}`.trim();
+      if ((r && r.status !== 429 && r.status < 500) || attempt >= retries) return err;
+      const after = Number(r?.headers.get("retry-after"));
+      await sleep(after > 0 ? after * 1000 : 1000 * 2 ** attempt);
+    }
+  }
+
+  return { urls, format, events, diff, send };
+}
+
+function slackPayload(ev){
+  const o = ev.order;
+  const who = [o.customer, o.address].filter(Boolean).join(" — ");
+  const what = ev.type === "order.created" ? `New order #${o.order} for ${o.date}`
+    : ev.type === "order.status_changed" ? `Order #${o.order}: ${ev.changes.status[0] || "(none)"} → ${ev.changes.status[1] || "(none)"}`
+    : `Order #${o.order} rescheduled: ${Object.entries(ev.changes).map(([k, [a, b]]) => `${k} ${a || "(none)"} → ${b || "(none)"}`).join(", ")}`;
+  return { text: who ? `${what}\n${who}` : what };
+}
@@ -0,0 +1,43 @@
+// Source adapter for the Cloudflare Worker (worker.js): orders for a date range.
+//   WORKER_URL    = https://<your-worker-subdomain>.workers.dev
+//   WORKER_TOKEN  = the Worker's ACCESS_TOKEN (sent as a Bearer token)
+//   WORKER_API    = v1 → the normalized /v1/orders route (raw DRS record under "raw");
+//                   default: the legacy / route with DRS's own field names
+// detail(id) reads one order's DRS record from /v1/orders/:id/detail (null when DRS has none),
+// for the "enrich" stage (lib/enrich.mjs).
+
+import { must, opt } from "./env.mjs";
+
+export function workerFromEnv(){
+  return workerSource({ url: must("WORKER_URL"), token: must("WORKER_TOKEN"), api: opt("WORKER_API") });
+}
+
+export function workerSource({ url, token, api = "" }){
+  // Raw order rows for start..end (inclusive); throws when the Worker fails
+  async function orders(start, end = start){
+    const u = new URL(url);
+    if (api === "v1") { u.pathname = u.pathname.replace(/\/+$/, "") + "/v1/orders"; u.searchParams.set("raw", "1"); }
+    if (start === end) u.searchParams.set("date", start);
+    else { u.searchParams.set("start", start); u.searchParams.set("end", end); }
+
+    const r = await fetch(u, { headers: { "Accept": "application/json", "Authorization": `Bearer ${token}` } });
+    const body = await r.text();
+    let data = null;
+    try { data = JSON.parse(body); } catch {}
+    if (!r.ok || !data || !Array.isArray(data.orders)) throw new Error(`Worker failed: ${r.status} ${body.slice(0, 500)}`);
+    return data.orders;
+  }
+
+  async function detail(id){
+    const u = new URL(url);
+    u.pathname = u.pathname.replace(/\/+$/, "") + `/v1/orders/${encodeURIComponent(id)}/detail`;
+    const r = await fetch(u, { headers: { "Accept": "application/json", "Authorization": `Bearer ${token}` } });
+    if (r.status === 404) return null;
+    const body = await r.text();
+    let data = null;
+    try { data = JSON.parse(body); } catch {}
+    if (!r.ok || !data?.record) throw new Error(`Worker detail failed: ${r.status} ${body.slice(0, 200)}`);
+    return data.record;
+  }
+  return { name: "worker", orders, detail };
+}
@@ -0,0 +1,70 @@
+// The Airtable retry file against a mocked Airtable API: a write that fails is parked
+// (the run goes on, without EXIT.partial), and parked updates / deletes of records
+// deleted in Airtable since are dropped instead of failing on every run.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadMapping } from "../lib/mapping.mjs";
+import { airtableSink } from "../lib/airtable.mjs";
+import { syncOrders } from "../lib/sync.mjs";
+
+const realFetch = globalThis.fetch;
+test.afterEach(() => { globalThis.fetch = realFetch; });
+
+// Airtable holding the record ids in `have`; a write naming any other id fails the whole
+// batch like Airtable does (422 for PATCH, 404 for DELETE); `bad` ids fail validation
+function mockAirtable(have, bad = []){
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const u = new URL(String(url)), method = init.method || "GET";
+    const ids = method === "DELETE" ? u.searchParams.getAll("records[]") : method === "PATCH" ? JSON.parse(init.body).records.map(r => r.id) : [u.pathname.split("/")[4]];
+    calls.push(`${method} ${ids.join(",")}`);
+    if (ids.some(id => bad.includes(id))) return Response.json({ error: { type: "INVALID_VALUE_FOR_COLUMN" } }, { status: 422 });
+    if (ids.some(id => !have.includes(id))) return Response.json({ error: method === "PATCH" ? { type: "ROW_DOES_NOT_EXIST" } : "NOT_FOUND" }, { status: method === "PATCH" ? 422 : 404 });
+    return Response.json(method === "DELETE" ? { records: ids.map(id => ({ id, deleted: true })) } : { records: ids.map(id => ({ id, fields: {} })) });
+  };
+  return calls;
+}
+
+function retryFile(t, failed){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-airtable-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, "retry.json");
+  fs.writeFileSync(file, JSON.stringify({ failed: failed.map(op => ({ at: "2025-11-05T10:00:00Z", table: "Orders", error: "Airtable PATCH failed 503", ...op })) }));
+  return file;
+}
+
+const sink = () => airtableSink({ apiKey: "k", baseId: "appX", table: "Orders", mapping: loadMapping() });
+const patch = ids => ({ method: "PATCH", records: ids.map(id => ({ id, fields: { Status: "Delivered" } })) });
+
+test("parked writes of records deleted in Airtable are dropped, the rest is replayed", async t => {
+  const file = retryFile(t, [patch(["recGone", "recLive"]), { method: "DELETE", ids: ["recGone2"] }]);
+  const calls = mockAirtable(["recLive"]);
+  assert.deepEqual(await sink().replayRetries(file), { replayed: 1, stillFailing: 0, dropped: 2 });
+  assert.deepEqual(calls, ["PATCH recGone,recLive", "GET recGone", "GET recLive", "PATCH recLive", "DELETE recGone2", "GET recGone2"]);
+  assert.equal(fs.existsSync(file), false);
+});
+
+test("a 422 for records Airtable still has stays parked", async t => {
+  const file = retryFile(t, [patch(["recLive"])]);
+  mockAirtable(["recLive"], ["recLive"]);
+  assert.deepEqual(await sink().replayRetries(file), { replayed: 0, stillFailing: 1, dropped: 0 });
+  const [kept] = JSON.parse(fs.readFileSync(file, "utf8")).failed;
+  assert.deepEqual(kept.records.map(r => r.id), ["recLive"]);
+  assert.match(kept.error, /INVALID_VALUE_FOR_COLUMN/);
+});
+
+test("a create Airtable rejects is parked in the retry file and the run doesn't fail", async t => {
+  const file = path.join(path.dirname(retryFile(t, [])), "parked.json");
+  process.env.AIRTABLE_RETRY_FILE = file;
+  t.after(() => { delete process.env.AIRTABLE_RETRY_FILE; });
+  globalThis.fetch = async (url, init = {}) => (init.method === "POST" ? Response.json({ error: { type: "INVALID_VALUE_FOR_COLUMN" } }, { status: 422 }) : Response.json({ records: [] }));
+
+  const mapping = loadMapping();
+  const result = await syncOrders([{ order_id: "101", delivery_date: "2025-11-05", customer: "Ann" }], { date: "2025-11-05", mapping, sink: sink() });
+  assert.equal(result.failed, 1);
+  assert.equal(result.retryFile, file);
+  assert.equal(JSON.parse(fs.readFileSync(file, "utf8")).failed[0].method, "POST");
+});
@@ -0,0 +1,52 @@
+// drs-backfill.mjs against a local stand-in for the Worker, writing to the CSV sink:
+// a chunk whose writes fail is not checkpointed, the run exits 9, and the resumed
+// run writes that chunk (and only that one) again.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { execFile } from "node:child_process";
+import { fileURLToPath } from "node:url";
+
+const SCRIPT = fileURLToPath(new URL("../drs-backfill.mjs", import.meta.url));
+
+test("a chunk with failed writes is not checkpointed and is written on resume", async t => {
+  const asked = [];
+  const server = http.createServer((req, res) => {
+    const date = new URL(req.url, "http://worker").searchParams.get("date");
+    asked.push(date);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ orders: [{ order_id: date.slice(-2) + "1", delivery_date: date, customer_name: "Ann", status: "Scheduled" }] }));
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  t.after(() => server.close());
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-backfill-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const sheets = path.join(dir, "sheets"), checkpoint = path.join(dir, "checkpoint.json");
+  const env = {
+    ...process.env, WORKER_URL: `http://127.0.0.1:${server.address().port}`, WORKER_TOKEN: "t",
+    SINKS: "csv", SHEET_DIR: sheets, STATE_FILE: "off", BACKFILL_CHECKPOINT: checkpoint
+  };
+  const run = () => new Promise(r => execFile(process.execPath, [SCRIPT, "--start=2025-10-31", "--end=2025-11-01"], { env, timeout: 60000 }, (err, stdout, stderr) => r({ code: err ? err.code : 0, stdout, stderr })));
+
+  // November's file can't be written: its temp file's name is taken by a directory
+  fs.mkdirSync(path.join(sheets, "orders-2025-11.csv.tmp"), { recursive: true });
+  const first = await run();
+  assert.equal(first.code, 9);
+  assert.match(first.stderr, /2025-11-01\.\.2025-11-01: 1 write\(s\) failed: E[A-Z]+: .*not checkpointed/);
+  assert.doesNotMatch(first.stderr, /parked in undefined/);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(checkpoint, "utf8")).done), ["2025-10-31"]);
+  assert.deepEqual(JSON.parse(first.stdout.slice(first.stdout.indexOf("{"))).failed, [{ from: "2025-11-01", to: "2025-11-01", failed: 1 }]);
+
+  fs.rmSync(path.join(sheets, "orders-2025-11.csv.tmp"), { recursive: true });
+  asked.length = 0;
+  const second = await run();
+  assert.equal(second.code, 0, second.stderr);
+  assert.match(second.stdout, /Resuming from .*: 1 chunk\(s\) already done/);
+  assert.deepEqual(asked, ["2025-11-01"]);
+  assert.match(fs.readFileSync(path.join(sheets, "orders-2025-11.csv"), "utf8"), /2025-11-01,Ann,.*,011,Scheduled/);
+  assert.deepEqual(Object.keys(JSON.parse(fs.readFileSync(checkpoint, "utf8")).done), ["2025-10-31", "2025-11-01"]);
+});
@@ -0,0 +1,42 @@
+// normalize.mjs through the default mapping: the size step's numeric yards reach the
+// stored record ("Yards"), and status words only count as whole, un-negated words.
+import test from "node:test";
+import assert from "node:assert/strict";
+import { loadMapping } from "../lib/mapping.mjs";
+import { normalizeOrder } from "../lib/order.mjs";
+import { normalizeRecord, canonicalStatus } from "../lib/normalize.mjs";
+import { recordOf } from "../lib/sink.mjs";
+
+const mapping = loadMapping();
+const stored = row => recordOf(normalizeRecord(normalizeOrder(row, { date: "2025-11-05", mapping }), mapping.normalize), mapping);
+
+test("the size step stores the yards as a number in the Yards column", () => {
+  const rec = stored({ order_id: "101", dumpster_size: "20YD Roll-off", phone: "(555) 123-4567", status: "dropped off" });
+  assert.equal(rec["Dumpster Size"], "20 Yard");
+  assert.equal(rec.Yards, 20);
+  assert.equal(rec.Phone, "+15551234567");
+  assert.equal(rec.Status, "Delivered");
+
+  assert.equal(stored({ order_id: "102", dumpster_size: "Large" }).Yards, "");
+  assert.equal(stored({ order_id: "103", dumpster_size: "10.5 cubic yards" }).Yards, 10.5);
+});
+
+test("status words match whole words, and not after a negation", () => {
+  const cases = {
+    "Delivered": "Delivered",
+    "DELIVERED - awaiting pickup": "Delivered",
+    "Pickup Scheduled": "Pickup Requested",
+    "Delivered, not picked up": "Delivered",
+    "not delivered": "Other",
+    "undelivered": "Other",
+    "Un-delivered": "Other",
+    "redelivered": "Other",
+    "never picked up": "Other",
+    "isn't scheduled": "Other",
+    "Canceled": "Cancelled",
+    "": ""
+  };
+  for (const [input, want] of Object.entries(cases)) assert.equal(canonicalStatus(input), want, input);
+  assert.equal(canonicalStatus("swap out", { synonyms: { "Delivered": ["swap"] } }), "Delivered");
+  assert.equal(canonicalStatus("no swap", { unknown: "?", synonyms: { "Delivered": ["swap"] } }), "?");
+});
@@ -0,0 +1,192 @@
+// DRS page objects (lib/pages.mjs) and the selector registry (lib/selectors.mjs) against
+// saved DRS pages in test/fixtures/drs, served by a local static server. Needs Playwright's
+// Chromium (npm run setup); without it the browser tests are skipped.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { fileURLToPath } from "node:url";
+import { loginPage, reportsPage, ordersPage, orderDetailPage } from "../lib/pages.mjs";
+import { SELECTORS, selectors, fill } from "../lib/selectors.mjs";
+import { loadMapping } from "../lib/mapping.mjs";
+import { normalizeOrder } from "../lib/order.mjs";
+
+const FIXTURES = fileURLToPath(new URL("./fixtures/drs/", import.meta.url));
+
+// /<name> → fixtures/drs/<name>.html, plus what a static file can't do: the login POST
+// (password "right" sets the session cookie and goes on to the orders, anything else gets
+// the error page), a 503 maintenance page and the CSV export: a download, or with inline=1
+// shown in the browser, and then only with the session cookie (else the login page, as DRS does)
+const server = http.createServer((req, res) => {
+  const { pathname, searchParams } = new URL(req.url, "http://fixture");
+  const page = (name, status = 200) => { res.writeHead(status, { "Content-Type": "text/html; charset=utf-8" }); res.end(fs.readFileSync(path.join(FIXTURES, `${name}.html`))); };
+  if (req.method === "POST" && pathname === "/login") {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => {
+      if (new URLSearchParams(body).get("password") === "right") { res.writeHead(302, { Location: "/orders", "Set-Cookie": "drs_session=ok; Path=/" }); res.end(); }
+      else page("login-failed");
+    });
+    return;
+  }
+  if (pathname === "/maintenance") return page("maintenance", 503);
+  if (pathname === "/export.csv") {
+    if (searchParams.has("inline") && !/(^|;\s*)drs_session=ok(;|$)/.test(req.headers.cookie || "")) return page("login");
+    res.writeHead(200, searchParams.has("inline") ? { "Content-Type": "text/plain" } : { "Content-Type": "text/csv", "Content-Disposition": "attachment; filename=orders.csv" });
+    return res.end(`Order #,Customer,Period,Date\r\n101,Ann Smith,${searchParams.get("period")},${searchParams.get("date")}\r\n`);
+  }
+  const name = pathname === "/orders/101/" ? "order-101" : pathname.slice(1);
+  if (/^[a-z0-9-]+$/.test(name) && fs.existsSync(path.join(FIXTURES, `${name}.html`))) return page(name);
+  res.writeHead(404); res.end("not found");
+});
+await new Promise(r => server.listen(0, "127.0.0.1", r));
+const BASE = `http://127.0.0.1:${server.address().port}`;
+
+const browser = await import("playwright").then(({ chromium }) => chromium.launch()).catch(e => ({ skip: `no browser: ${e.message.split("\n")[0]}` }));
+const skip = browser.skip || false;
+test.after(async () => { server.close(); if (!skip) await browser.close(); });
+
+async function open(t, url){
+  const ctx = await browser.newContext({ acceptDownloads: true });
+  t.after(() => ctx.close());
+  const page = await ctx.newPage();
+  const response = url ? await page.goto(BASE + url, { waitUntil: "domcontentloaded" }) : null;
+  return { page, response };
+}
+
+test("loginPage finds the form and tells the outcomes apart", { skip }, async t => {
+  const { page, response } = await open(t, "/login");
+  const form = loginPage(page);
+  assert.ok(await form.fields());
+  assert.equal(await form.state(response), "");
+
+  await form.submit("user", "wrong");
+  assert.equal(await form.state(null), "credentials");
+
+  await form.submit("user", "right");
+  assert.equal(new URL(page.url()).pathname, "/orders");
+  assert.equal(await form.state(null), "");
+  assert.equal(await form.fields(), null);
+
+  assert.equal(await form.state(await page.goto(`${BASE}/challenge`)), "challenge");
+  assert.equal(await form.state(await page.goto(`${BASE}/maintenance`)), "maintenance");
+});
+
+test("ordersPage reads every page and merges the matching tables", { skip }, async t => {
+  const { page } = await open(t, "/orders");
+  const got = await ordersPage(page).table();
+
+  assert.equal(got.table, "table.orders");
+  assert.equal(got.pages, 2);
+  assert.deepEqual(got.headers, ["Order #", "Customer", "Contact", "Contact 2", "Size", "Status", "Delivery Date", "Pickup Date"]);
+  assert.deepEqual(got.rows.map(r => r["Order #"]), ["101", "102", "90", "103", "104"]);
+
+  const [ann, bob, pickup, , short] = got.rows;
+  assert.equal(ann["Order # link"], `${BASE}/orders/101/`);
+  assert.equal(ann["Size data-yards"], "20");
+  assert.equal(ann["data-order-id"], "101");
+  assert.equal(ann["Contact 2"], "(555) 010-1010");
+  assert.equal(ann._confidence, 1);
+
+  // colspan fills the columns it covers; empty and javascript: cells stay as they are
+  assert.equal(bob.Contact, "no contact");
+  assert.equal(bob["Contact 2"], "");
+  assert.equal(bob.Size, "");
+  assert.equal(bob["Order # link"], undefined);
+
+  assert.equal(pickup["Pickup Date"], "11/05/2025");
+  assert.equal(pickup.Status, undefined);
+
+  assert.deepEqual(short._warnings, ["row has 6 cells, header has 7"]);
+  assert.ok(short._confidence < 1);
+  assert.equal(got.warnings, 1);
+});
+
+test("AT_COL_* column indexes pick the scraped row's columns, not its links or data-*", { skip }, async t => {
+  const { page } = await open(t, "/orders");
+  const [ann] = (await ordersPage(page).table()).rows;
+  assert.deepEqual(Object.keys(ann).slice(0, 8), ["Order #", "Customer", "Contact", "Contact 2", "Size", "Status", "Delivery Date", "Order # link"]);
+
+  const env = { AT_COL_ORDER: "1", AT_COL_CUSTOMER: "2", AT_COL_PHONE: "4", AT_COL_SIZE: "5", AT_COL_STATUS: "6" };
+  Object.assign(process.env, env);
+  t.after(() => { for (const k of Object.keys(env)) delete process.env[k]; });
+  const o = normalizeOrder(ann, { date: "2025-11-05", mapping: loadMapping() });
+  assert.deepEqual([o.order, o.customer, o.phone, o.size, o.status], ["101", "Ann Smith", "(555) 010-1010", "20 Yard", "Scheduled"]);
+});
+
+test("ordersPage guesses the table by its headers and shows all rows first", { skip }, async t => {
+  const { page } = await open(t, "/orders-guess");
+  const got = await ordersPage(page).table();
+  assert.equal(got.table, "guessed");
+  assert.equal(got.pages, 1);
+  assert.deepEqual(got.headers, ["Order", "Customer", "Address", "Status", "Date"]);
+  assert.deepEqual(got.rows.map(r => r.Order), ["201", "202", "203"]);
+});
+
+test("reportsPage navigates to a report, sets the tab and date and downloads the CSV", { skip }, async t => {
+  const { page } = await open(t, "/orders");
+  const reports = reportsPage(page);
+  await reports.open();
+  assert.equal(new URL(page.url()).pathname, "/reports");
+
+  assert.equal(await reports.chooseReport("Orders by Delivery Date"), true);
+  assert.equal(new URL(page.url()).pathname, "/reports-orders");
+  assert.equal(await reports.chooseTab("Day"), true);
+  assert.equal(await reports.setDate("11/05/2025"), true);
+
+  const csv = await reports.exportCsv();
+  assert.equal(csv, "Order #,Customer,Period,Date\r\n101,Ann Smith,Day,11/05/2025\r\n");
+  assert.equal(await reports.chooseReport("No Such Report"), false);
+});
+
+test("an export the browser opens inline is read again with the session's cookies", { skip, timeout: 60000 }, async t => {
+  const { page } = await open(t, "/login");
+  await loginPage(page).submit("user", "right");
+  await page.goto(`${BASE}/reports-orders?inline=1`);
+  const reports = reportsPage(page);
+  assert.equal(await reports.chooseTab("Week"), true);
+  assert.equal(await reports.exportCsv(), "Order #,Customer,Period,Date\r\n101,Ann Smith,Week,11/01/2025\r\n");
+});
+
+test("orderDetailPage reads label / value pairs", { skip }, async t => {
+  const { page } = await open(t, "/orders/101/");
+  assert.deepEqual(await orderDetailPage(page).fields(), {
+    "Gate Code": "4321",
+    "Placement Notes": "Left side of the driveway",
+    "Rental End": "11/19/2025",
+    "Pickup Scheduled": "Yes",
+    "Balance Due": "$45.00"
+  });
+});
+
+test("DRS_SELECTORS overrides steer the page objects", { skip }, async t => {
+  const file = path.join(fs.mkdtempSync(path.join(os.tmpdir(), "drs-selectors-")), "selectors.json");
+  t.after(() => fs.rmSync(path.dirname(file), { recursive: true, force: true }));
+  fs.writeFileSync(file, JSON.stringify({ orders: { table: ['table[summary="Open orders"]'] } }));
+
+  const { page } = await open(t, "/orders-guess");
+  const got = await ordersPage(page, selectors(file)).table();
+  assert.equal(got.table, 'table[summary="Open orders"]');
+  assert.equal(got.rows.length, 3);
+});
+
+test("the selector registry fills names and validates overrides", () => {
+  assert.deepEqual(fill(['a:has-text("{name}")', "text=/^{name}$/"], "Week"), ['a:has-text("Week")', "text=/^Week$/"]);
+  assert.deepEqual(selectors(""), SELECTORS);
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-selectors-"));
+  try {
+    const write = json => { const f = path.join(dir, `${Math.random()}.json`); fs.writeFileSync(f, JSON.stringify(json)); return f; };
+    const merged = selectors(write({ reports: { exportCsv: ["#btnExport"] } }));
+    assert.deepEqual(merged.reports.exportCsv, ["#btnExport"]);
+    assert.deepEqual(merged.reports.date, SELECTORS.reports.date);
+    assert.deepEqual(SELECTORS.reports.exportCsv[0], 'button:has-text("Export To CSV")');
+
+    assert.throws(() => selectors(write({ orders: { tabel: ["x"] }, login: { user: [] } })), e =>
+      e.exitCode === 2 && /orders\.tabel is not a known selector/.test(e.message) && /login\.user must be a non-empty list/.test(e.message));
+  } finally {
+    fs.rmSync(dir, { recursive: true, force: true });
+  }
+});
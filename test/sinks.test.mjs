@@ -0,0 +1,119 @@
+// The SQLite and rolling CSV sinks offline, in a temp dir: a dry-run plan writes
+// nothing, apply creates and updates, RECONCILE=delete removes orders DRS dropped
+// (and aborts past RECONCILE_MAX_RATIO), a fan-out counts its plan per sink, and
+// writes that fail end the run with EXIT.partial.
+// SQLite needs node:sqlite (Node 22.5+) or better-sqlite3, a devDependency for the Node 20
+// the workflows run; when neither loads (npm install --omit=dev) its tests are skipped.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { spawnSync } from "node:child_process";
+import { fileURLToPath } from "node:url";
+import { loadMapping } from "../lib/mapping.mjs";
+import { parseCSV } from "../lib/csv.mjs";
+import { sqliteSink } from "../lib/sql.mjs";
+import { sheetSink } from "../lib/sheet.mjs";
+import { fanOut } from "../lib/sinks.mjs";
+import { syncOrders } from "../lib/sync.mjs";
+
+const Database = await import("node:sqlite").then(m => m.DatabaseSync)
+  .catch(() => import("better-sqlite3").then(m => m.default)).catch(() => null);
+const noSqlite = Database ? false : "no SQLite driver (node:sqlite or npm install better-sqlite3)";
+
+const mapping = loadMapping();
+const days = ["2025-10-31", "2025-11-01"];
+const row = (order_id, delivery_date, status = "Scheduled") => ({ order_id, delivery_date, status, customer: "Ann", address: "1 Main St" });
+const reconcile = { mode: "delete", field: "", value: "", maxRatio: 0.5, own: false };
+
+function tmp(t){
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-sinks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  return dir;
+}
+
+// "date|order|status" of every stored record, sorted
+function sqliteRows(file){
+  if (!fs.existsSync(file)) return [];
+  const db = new Database(file);
+  try { return db.prepare('SELECT "Date", "Order #", "Status" FROM "orders"').all().map(r => `${r.Date}|${r["Order #"]}|${r.Status}`).sort(); }
+  finally { db.close(); }
+}
+function csvRows(dir){
+  if (!fs.existsSync(dir)) return [];
+  return fs.readdirSync(dir).filter(f => f.endsWith(".csv")).flatMap(f => {
+    const [headers, ...lines] = parseCSV(fs.readFileSync(path.join(dir, f), "utf8"));
+    return lines.map(cells => Object.fromEntries(headers.map((h, i) => [h, cells[i]]))).map(r => `${r.Date}|${r["Order #"]}|${r.Status}`);
+  }).sort();
+}
+
+// plan → apply → update + delete-reconcile → a pass that would remove too much
+async function exercise(sink, stored){
+  const run = (rows, extra = {}) => syncOrders(rows, { date: "", dates: days, mapping, sink, reconcile, ...extra });
+  const three = [row("101", days[0]), row("102", days[1]), row("103", days[1])];
+
+  const plan = await run(three, { dryRun: true });
+  assert.deepEqual(plan.planned, { create: 3 });
+  assert.deepEqual(plan.days, { [days[0]]: { create: 1 }, [days[1]]: { create: 2 } });
+  assert.deepEqual(stored(), []);
+
+  assert.equal((await run(three)).created, 3);
+  assert.deepEqual(stored(), ["2025-10-31|101|Scheduled", "2025-11-01|102|Scheduled", "2025-11-01|103|Scheduled"]);
+
+  // 102 delivered, 103 gone from DRS
+  const next = await run([row("101", days[0]), row("102", days[1], "Delivered")]);
+  assert.deepEqual(next.planned, { unchanged: 1, update: 1, delete: 1 });
+  assert.equal(next.updated, 1);
+  assert.equal(next.deleted, 1);
+  assert.deepEqual(stored(), ["2025-10-31|101|Scheduled", "2025-11-01|102|Delivered"]);
+
+  // DRS answering with nothing would remove everything: aborted, nothing deleted
+  await assert.rejects(run([]), e => e.exitCode === 3 && /Reconciliation aborted/.test(e.message));
+  assert.deepEqual(stored(), ["2025-10-31|101|Scheduled", "2025-11-01|102|Delivered"]);
+}
+
+test("the SQLite sink plans, applies and reconciles deletes", { skip: noSqlite }, async t => {
+  const file = path.join(tmp(t), "db", "orders.sqlite");
+  await exercise(sqliteSink({ mapping, file }), () => sqliteRows(file));
+});
+
+test("the CSV sink plans, applies and reconciles deletes in one file per month", async t => {
+  const dir = path.join(tmp(t), "sheets");
+  await exercise(sheetSink({ mapping, dir }), () => csvRows(dir));
+  assert.deepEqual(fs.readdirSync(dir).sort(), ["orders-2025-10.csv", "orders-2025-11.csv"]);
+  const text = fs.readFileSync(path.join(dir, "orders-2025-11.csv"), "utf8");
+  assert.ok(text.startsWith("\uFEFFDate,Customer,"));
+  assert.ok(text.endsWith("\r\n"));
+});
+
+test("a fan-out plans every sink against its own contents and counts per sink", { skip: noSqlite }, async t => {
+  const dir = tmp(t), file = path.join(dir, "orders.sqlite"), sheets = path.join(dir, "sheets");
+  const sqlite = sqliteSink({ mapping, file }), csv = sheetSink({ mapping, dir: sheets });
+  await syncOrders([row("101", days[0])], { date: "", dates: days, mapping, sink: csv });
+
+  const both = fanOut([sqlite, csv]);
+  const result = await syncOrders([row("101", days[0]), row("102", days[1])], { date: "", dates: days, mapping, sink: both });
+  assert.deepEqual(result.planned, { sqlite: { create: 2 }, csv: { unchanged: 1, create: 1 } });
+  assert.deepEqual(result.days, { [days[0]]: { sqlite: { create: 1 }, csv: { unchanged: 1 } }, [days[1]]: { sqlite: { create: 1 }, csv: { create: 1 } } });
+  assert.equal(result.sinks.sqlite.created, 2);
+  assert.equal(result.sinks.csv.created, 1);
+  assert.deepEqual(sqliteRows(file), csvRows(sheets));
+});
+
+test("a failed sink write ends the run with EXIT.partial (9)", async t => {
+  const dir = tmp(t), notDir = path.join(dir, "not-a-dir");
+  fs.writeFileSync(notDir, "");
+  const sink = sheetSink({ mapping, dir: notDir });
+  await assert.rejects(syncOrders([row("101", days[0]), row("102", days[1])], { date: "", dates: days, mapping, sink }), e =>
+    e.exitCode === 9 && e.result.failed === 2 && /^2 write\(s\) failed: E[A-Z]+: /.test(e.message));
+
+  // the same through a command: the message without a stack, and exit 9
+  const csv = path.join(dir, "DRS-Daily-2025-11-05.csv");
+  fs.writeFileSync(csv, "Order #,Customer,Status\r\n101,Ann,Scheduled\r\n");
+  const script = fileURLToPath(new URL("../drs-import-csv.mjs", import.meta.url));
+  const run = spawnSync(process.execPath, [script, csv], { env: { ...process.env, SINKS: "csv", SHEET_DIR: notDir, STATE_FILE: "off" }, encoding: "utf8", timeout: 60000 });
+  assert.equal(run.status, 9);
+  assert.match(run.stderr, /^1 write\(s\) failed: E[A-Z]+: /);
+  assert.doesNotMatch(run.stderr, /\n\s+at /);
+});
@@ -0,0 +1,36 @@
+// What the sync state does to writes (see lib/state.mjs): a record edited in the sink
+// stays as edited while its DRS content is unchanged, and is rewritten once it changes.
+import test from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadMapping } from "../lib/mapping.mjs";
+import { openState } from "../lib/state.mjs";
+import { sheetSink } from "../lib/sheet.mjs";
+import { syncOrders } from "../lib/sync.mjs";
+
+test("a hand edit is kept until the order changes in DRS", async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-state-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const mapping = loadMapping(), sink = sheetSink({ mapping, dir });
+  const file = path.join(dir, "orders-2025-11.csv");
+  const run = (status, state) => syncOrders([{ order_id: "101", delivery_date: "2025-11-05", status, customer: "Ann" }], { date: "", dates: ["2025-11-05"], mapping, sink, state });
+  const edit = () => fs.writeFileSync(file, fs.readFileSync(file, "utf8").replace("Ann", "Ann (gate code 1234)"));
+
+  const state = openState(path.join(dir, "state.json"));
+  await run("Scheduled", state);
+  edit();
+  const kept = await run("Scheduled", state);
+  assert.deepEqual(kept.planned, { unchanged: 1 });
+  assert.equal(kept.updated, 0);
+  assert.match(fs.readFileSync(file, "utf8"), /gate code/);
+
+  assert.equal((await run("Delivered", state)).updated, 1);
+  assert.doesNotMatch(fs.readFileSync(file, "utf8"), /gate code/);
+
+  // without a state the edit is overwritten on the next run
+  edit();
+  assert.equal((await run("Delivered", null)).updated, 1);
+  assert.doesNotMatch(fs.readFileSync(file, "utf8"), /gate code/);
+});
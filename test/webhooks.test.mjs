@@ -0,0 +1,74 @@
+// Webhooks end to end: syncOrders with a CSV sink and a state file, events POSTed to a
+// local HTTP receiver, checked together with their HMAC signature.
+import test from "node:test";
+import assert from "node:assert/strict";
+import http from "node:http";
+import crypto from "node:crypto";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { loadMapping } from "../lib/mapping.mjs";
+import { openState } from "../lib/state.mjs";
+import { sheetSink } from "../lib/sheet.mjs";
+import { syncOrders } from "../lib/sync.mjs";
+import { webhookSender } from "../lib/webhooks.mjs";
+
+const SECRET = "s3cret";
+
+test("events reach a local receiver, signed, once per change", async t => {
+  const got = [];
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", c => { body += c; });
+    req.on("end", () => { got.push({ headers: req.headers, body }); res.end("ok"); });
+  });
+  await new Promise(r => server.listen(0, "127.0.0.1", r));
+  t.after(() => server.close());
+
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drs-webhooks-"));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const mapping = loadMapping();
+  const sink = sheetSink({ mapping, dir });
+  const state = openState(path.join(dir, "state.json"));
+  const webhooks = webhookSender({ urls: [`http://127.0.0.1:${server.address().port}/hook`], secret: SECRET, retries: 0 });
+  const reconcile = { mode: "delete", field: "", value: "", maxRatio: 0.5, own: false };
+
+  const run = async (rows, dates) => {
+    got.length = 0;
+    await syncOrders(rows, { date: dates[0], dates, mapping, sink, state, webhooks, reconcile });
+    return got.map(g => JSON.parse(g.body)).map(e => `${e.type} #${e.order.order} ${JSON.stringify(e.changes)}`);
+  };
+  const row = (order_id, delivery_date, status = "Scheduled", address = "1 Main St") => ({ order_id, delivery_date, status, customer: "Ann", address });
+  const days = ["2025-11-05", "2025-11-06"];
+
+  // the first run only seeds the state
+  assert.deepEqual(await run([row("101", days[0]), row("102", days[0]), row("103", days[0])], days), []);
+
+  assert.deepEqual(await run([row("101", days[0], "Delivered"), row("102", days[0]), row("103", days[0]), row("104", days[0])], days), [
+    'order.status_changed #101 {"status":["Scheduled","Delivered"]}',
+    "order.created #104 {}"
+  ]);
+
+  // 102 moves to the next day; its old row is reconciled away
+  const moved = [row("101", days[0], "Delivered"), row("102", days[1]), row("103", days[0]), row("104", days[0])];
+  assert.deepEqual(await run(moved, days), ['order.rescheduled #102 {"date":["2025-11-05","2025-11-06"]}']);
+  assert.ok(state.get(days[1], "102"));
+  assert.equal(state.get(days[0], "102"), null);
+
+  // nothing changed: no false order.created for the moved order
+  assert.deepEqual(await run(moved, days), []);
+
+  // an order on two dates is announced once, and not rescheduled on later runs
+  const both = [...moved, row("105", days[0]), row("105", days[1])];
+  assert.deepEqual(await run(both, days), ["order.created #105 {}"]);
+  assert.deepEqual(await run(both, days), []);
+
+  // signature and headers of a delivery
+  await run([...both.slice(1), row("101", days[0], "Picked Up")], days);
+  assert.equal(got.length, 1);
+  const { headers, body } = got[0];
+  assert.equal(headers["content-type"], "application/json");
+  assert.equal(headers["x-drs-event"], "order.status_changed");
+  assert.equal(headers["x-drs-delivery"], JSON.parse(body).id);
+  assert.equal(headers["x-drs-signature-256"], `sha256=${crypto.createHmac("sha256", SECRET).update(body).digest("hex")}`);
+});
@@ -0,0 +1,117 @@
+// worker.js caching against a mocked DRS: payload cache hit / miss, the remembered
+// endpoint + auth mode tried first, ETag / If-None-Match, no store at all, and the
+// detail route only taking (and caching) the requested order's record.
+import test from "node:test";
+import assert from "node:assert/strict";
+import worker from "../worker.js";
+
+const BASE = "https://drs.test";
+const ORDERS = [{ order_id: "101", customer_name: "Ann", delivery_date: "2025-11-05" }];
+
+// Answers only on `works` ("<order|orders>|<post-form|post-headers|get-headers>"); logs every call
+function mockDrs(works){
+  const calls = [];
+  globalThis.fetch = async (url, init = {}) => {
+    const path = new URL(String(url)).pathname.split("/")[3];
+    const h = init.headers || {};
+    const mode = init.method === "GET" ? "get-headers" : String(h["Content-Type"] || "").includes("form") ? "post-form" : "post-headers";
+    calls.push(`${path}|${mode}`);
+    if (`${path}|${mode}` !== works) return new Response("nope", { status: 404 });
+    return Response.json({ orders: ORDERS });
+  };
+  return calls;
+}
+
+function fakeKV(){
+  const m = new Map();
+  return { map: m, get: async (k, type) => (m.has(k) ? (type === "json" ? JSON.parse(m.get(k)) : m.get(k)) : null), put: async (k, v) => { m.set(k, v); } };
+}
+
+const env = extra => ({ DRS_BASE: BASE, DRS_DEV_KEY: "k", DRS_API_TOKEN: "t", ACCESS_TOKEN: "secret", ...extra });
+const call = (e, qs = "date=2025-11-05", headers = {}) =>
+  worker.fetch(new Request(`https://w.test/v1/orders?${qs}`, { headers: { Authorization: "Bearer secret", ...headers } }), e);
+
+const realFetch = globalThis.fetch;
+test.afterEach(() => { globalThis.fetch = realFetch; });
+
+test("a second call within CACHE_TTL is served from the cache", async () => {
+  const calls = mockDrs("order|post-form"), e = env({ DRS_KV: fakeKV() });
+  const first = await call(e);
+  assert.equal(first.status, 200);
+  assert.equal(first.headers.get("x-cache"), "miss");
+  assert.equal(calls.length, 1);
+
+  const second = await call(e);
+  assert.equal(second.headers.get("x-cache"), "hit");
+  assert.equal(calls.length, 1);
+  assert.deepEqual((await second.json()).orders.map(o => o.id), ["101"]);
+
+  const fresh = await call(e, "date=2025-11-05&fresh=1");
+  assert.equal(fresh.headers.get("x-cache"), "miss");
+  assert.equal(calls.length, 2);
+});
+
+test("CACHE_TTL=0 turns the payload cache off", async () => {
+  const calls = mockDrs("order|post-form"), e = env({ DRS_KV: fakeKV(), CACHE_TTL: "0" });
+  await call(e);
+  assert.equal((await call(e)).headers.get("x-cache"), "miss");
+  assert.equal(calls.length, 2);
+});
+
+test("the endpoint / auth mode that worked is remembered and tried first", async () => {
+  const calls = mockDrs("orders|get-headers"), kv = fakeKV(), e = env({ DRS_KV: kv });
+  assert.equal((await call(e)).status, 200);
+  assert.deepEqual(calls, ["order|post-form", "order|post-headers", "order|get-headers", "orders|post-form", "orders|post-headers", "orders|get-headers"]);
+  assert.equal(JSON.parse(kv.map.get("drs:route")).value, "orders|get-headers");
+
+  calls.length = 0;
+  assert.equal((await call(e, "date=2025-11-06")).status, 200);
+  assert.deepEqual(calls, ["orders|get-headers"]);
+});
+
+test("If-None-Match with the ETag answers 304 without a body", async () => {
+  mockDrs("order|post-form");
+  const e = env({ DRS_KV: fakeKV() });
+  const first = await call(e);
+  const etag = first.headers.get("etag");
+  assert.match(etag, /^"[0-9a-f]{40}"$/);
+
+  const again = await call(e, "date=2025-11-05", { "If-None-Match": `W/${etag}` });
+  assert.equal(again.status, 304);
+  assert.equal(await again.text(), "");
+  assert.equal(again.headers.get("etag"), etag);
+
+  const other = await call(e, "date=2025-11-05", { "If-None-Match": '"stale"' });
+  assert.equal(other.status, 200);
+});
+
+test("without DRS_KV or the Cache API nothing is cached or remembered", async () => {
+  assert.equal(typeof caches, "undefined");
+  const calls = mockDrs("orders|get-headers"), e = env();
+  await call(e);
+  const second = await call(e);
+  assert.equal(second.headers.get("x-cache"), "miss");
+  assert.equal(calls.length, 12);
+});
+
+// /v1/orders/:id/detail with every DRS request answered by `body`
+function detail(e, body, id = "101"){
+  let calls = 0;
+  globalThis.fetch = async () => { calls++; return Response.json(body); };
+  return worker.fetch(new Request(`https://w.test/v1/orders/${id}/detail`, { headers: { Authorization: "Bearer secret" } }), e).then(r => ({ r, calls }));
+}
+
+test("a detail answer that isn't the requested order is a 404 and isn't cached", async () => {
+  const kv = fakeKV(), e = env({ DRS_KV: kv });
+  assert.equal((await detail(e, { status: "fail", message: "no such order" })).r.status, 404);
+  assert.equal((await detail(e, { orders: [{ order_id: "999", customer_name: "Bob" }] })).r.status, 404);
+  assert.equal((await detail(e, { order: { order_id: "999" } })).r.status, 404);
+  assert.equal([...kv.map.keys()].some(k => k.includes("detail")), false);
+
+  const { r } = await detail(e, { status: "ok", order: { order_id: "#101", customer_name: "Ann" } }, "%23101");
+  assert.equal(r.status, 200);
+  assert.deepEqual((await r.json()).record, { order_id: "#101", customer_name: "Ann" });
+  const again = await detail(e, { status: "fail" });
+  assert.equal(again.r.status, 200);
+  assert.equal(again.calls, 0);
+});
@@ -3,78 +3,333 @@
 //  DRS_BASE       = https://reliablerentalequipment.ourers.com
 //  DRS_DEV_KEY    = <dev key>
 //  DRS_API_TOKEN  = <api token>
+// Caller auth (at least one is required; checked before any DRS call):
+//  ACCESS_TOKEN   = shared secret, sent as "Authorization: Bearer <token>"
+//  SIGNING_SECRET = HMAC key for signed links: ?exp=<unix seconds>&sig=<hex HMAC-SHA256>
+//                   where sig signs "<pathname>?<other params sorted, without sig>"
+// Optional:
+//  ALLOWED_ORIGINS = comma list of browser origins allowed by CORS (none by default)
+//  MAX_RANGE_DAYS  = widest start..end span served (default 31)
+// Routes:
+//  /             legacy: { orders: <raw DRS array>, source }
+//  /v1/orders    { version: 1, start, end, count, orders: [Order], source }, ?raw=1 adds each DRS record
+//     Order = { id, date, pickupDate, customer, contact: { name, phone, email },
+//               address, container: { size, yards }, status, raw? }
+//     ?format=csv | ics (or /v1/orders.csv, /v1/orders.ics) serves the same orders as text/csv or an
+//     iCalendar feed (one all-day event per delivery / pickup). Without a date the ics feed covers
+//     today + ICS_DAYS (default 14); ICS_NAME names the calendar. Calendar apps can't send a
+//     Bearer token, so subscribe with a signed link (SIGNING_SECRET, a far-off exp).
+//     Strings are trimmed ("" when DRS has nothing); date is YYYY-MM-DD from the order,
+//     else the requested day when start = end, else ""; pickupDate likewise from the order or "";
+//     yards is a number or null.
+//  /v1/orders/:id  { version: 1, start, end, order: Order, source }, 404 if not found. DRS has no
+//                  single-order lookup, so this searches the given date / start..end, or
+//                  LOOKUP_DAYS (default 14) either side of today
+//  /v1/orders/:id/detail  { version: 1, id, record: <DRS record>, source }, 404 if DRS has none —
+//                  one order's own record (the fields the list leaves out), read from DRS_DETAIL_PATH
+//                  (comma list of paths, "{id}" filled in; default /api/read/order/{id}/) and
+//                  cached per id for CACHE_TTL. drs-pull.mjs uses it for the "enrich" stage.
+//  /v1/summary     { version: 1, start, end, total, days: [{ date, total, status: {..}, size: {..}}], source }
+//                  order counts per day by status and container size
+//  /health         { ok, drs, source, route, cache } — checks the DRS credentials with an uncached call
+//                  for today; never returns order data. Needs caller auth like every route.
+// Caching:
+//  CACHE_TTL       = seconds an order payload per start..end is reused (default 60, 0 = off);
+//                    ?fresh=1 or ?debug=1 bypass it. Responses carry an ETag and answer
+//                    If-None-Match with 304.
+//  DRS_KV          = KV namespace binding for the cache and the remembered route. Without it the
+//                    Cache API is used, which only works on a custom domain: on *.workers.dev its
+//                    writes are dropped, so nothing is cached and no route is remembered (every call
+//                    goes to DRS, trying each endpoint / auth mode in turn). Bind one there:
+//                      wrangler kv namespace create DRS_KV
+//                      wrangler.toml:  [[kv_namespaces]]  binding = "DRS_KV"  id = "<the id printed>"
+//                    With a store, the endpoint/auth mode that last worked is tried first.
+//                    /health reports which store is in use ("cache": "kv" | "cache-api").
 export default {
-  async fetch(req, env) {
-    if (req.method === "OPTIONS") return ok(null, cors());
+  async fetch(req, env, ctx) {
+    const url    = new URL(req.url);
+    const origin = allowedOrigin(req.headers.get("origin"), env);
+    if (req.method === "OPTIONS") return ok(null, cors(new Headers(), origin));
+
+    const denied = await authorize(req, url, env);
+    if (denied) return json({ error: denied }, 401, origin);
 
-    const url   = new URL(req.url);
-    const base  = String(env.DRS_BASE || "").replace(/\/+$/, "");
-    const key   = env.DRS_DEV_KEY || "";
-    const token = env.DRS_API_TOKEN || "";
     const debug = url.searchParams.get("debug") === "1";
 
-    if (!base || !key || !token) {
-      return json({ error: "Worker missing DRS_BASE/DRS_DEV_KEY/DRS_API_TOKEN" }, 500);
+    if (!env.DRS_BASE || !env.DRS_DEV_KEY || !env.DRS_API_TOKEN) {
+      return json({ error: "Worker missing DRS_BASE/DRS_DEV_KEY/DRS_API_TOKEN" }, 500, origin);
+    }
+
+    let path    = url.pathname.replace(/\/+$/, "") || "/";
+    if (path === "/health") return health(env, ctx, origin);
+    const detail = path.match(/^\/v1\/orders\/([^/]+)\/detail$/);
+    if (detail) {
+      const id  = decodeURIComponent(detail[1]).replace(/^#\s*/, "").trim();
+      const got = await drsDetail(env, ctx, id, { fresh: debug || url.searchParams.get("fresh") === "1" });
+      if (!got.record) return json({ error: `order ${id} not found`, ...(debug ? { diagnostics: got.diag } : {}) }, 404, origin);
+      return cachedJson(req, { version: 1, id, record: got.record, source: got.source }, got.cache, ttl(env), origin);
     }
+    const ext   = path.match(/^\/v1\/orders\.(csv|ics|json)$/);
+    if (ext) path = "/v1/orders";
+    const format = (url.searchParams.get("format") || ext?.[1] || "json").toLowerCase();
+    if (!["json", "csv", "ics"].includes(format)) return json({ error: "format must be json, csv or ics" }, 400, origin);
+    const byId  = path.match(/^\/v1\/orders\/([^/]+)$/);
+    if (path !== "/" && path !== "/v1/orders" && path !== "/v1/summary" && !byId) return json({ error: `no route ${path}` }, 404, origin);
 
+    // Without a date, /v1/orders/:id searches LOOKUP_DAYS either side of today
+    // and the ics feed covers today + ICS_DAYS (a rolling calendar subscription)
+    const open  = !["date", "start", "end"].some(k => url.searchParams.has(k));
+    const max   = Number(env.MAX_RANGE_DAYS || 31);
+    const span  = Math.max(0, Math.min(Number(env.LOOKUP_DAYS || 14), Math.floor((max - 1) / 2)));
+    const ahead = Math.max(0, Math.min(Number(env.ICS_DAYS || 14), max - 1));
     const date  = url.searchParams.get("date") || ymd();
-    const start = url.searchParams.get("start") || date;
-    const end   = url.searchParams.get("end")   || date;
-
-    const endpoints = [
-      `${base}/api/read/order/${start}/${end}/`,
-      `${base}/api/read/orders/${start}/${end}/`
-    ];
-
-    const attempts = [];
-    for (const u of endpoints) {
-      attempts.push(() => postForm(u, key, token, "post-form"));
-      attempts.push(() => postHeaders(u, key, token, "post-headers"));
-      attempts.push(() => getHeaders(u, key, token, "get-headers"));
+    let start   = url.searchParams.get("start") || date;
+    let end     = url.searchParams.get("end")   || date;
+    if (open && byId) { start = ymd(addDays(new Date(), -span)); end = ymd(addDays(new Date(), span)); }
+    else if (open && format === "ics" && path === "/v1/orders") end = ymd(addDays(new Date(), ahead));
+    const bad   = checkRange(start, end, Number(env.MAX_RANGE_DAYS || 31));
+    if (bad) return json({ error: bad }, 400, origin);
+
+    const fresh = debug || url.searchParams.get("fresh") === "1";
+    const got = await drsOrders(env, ctx, start, end, { debug, fresh });
+    if (!got.orders) {
+      // No usable array found. In debug mode, include diagnostics.
+      if (debug) return json({ orders: [], diagnostics: got.diag }, 502, origin);
+      // Non-debug: return empty but still JSON, so clients don’t crash.
+      return json({ orders: [] , source: "no-array" }, 200, origin);
     }
 
-    let diag = { status: 0, ct: "", len: 0, head: "", url: "", mode: "", keys: [] };
-
-    for (const tryOne of attempts) {
-      const { res, tried, mode } = await tryOne();
-      const ct  = (res.headers.get("content-type") || "").toLowerCase();
-      const txt = await res.text();
-      let parsed = null; try { parsed = JSON.parse(txt); } catch {}
-
-      const keys = parsed && typeof parsed === "object" ? Object.keys(parsed) : [];
-      const head = txt.slice(0, 500);
-
-      if (res.ok && parsed) {
-        const orders = pickArray(parsed);
-        if (Array.isArray(orders) && (orders.length > 0 || !debug)) {
-          return json({ orders, source: mode }, 200);
-        }
-        // if debug, fall through so we can include diagnostics
-        diag = { status: res.status, ct, len: txt.length, head, url: tried, mode, keys };
-      } else {
-        diag = { status: res.status, ct, len: txt.length, head, url: tried, mode, keys };
+    const raw = url.searchParams.get("raw") === "1";
+    const send = obj => cachedJson(req, obj, got.cache, ttl(env), origin);
+    const sendAs = (body, type) => cachedBody(req, body, type, got.cache, ttl(env), origin);
+    if (byId) {
+      const id = decodeURIComponent(byId[1]).replace(/^#\s*/, "").trim();
+      const hit = got.orders.map(o => normalizeOrder(o, { start, end, raw })).find(o => o.id === id);
+      if (!hit) return json({ error: `order ${id} not found between ${start} and ${end}` }, 404, origin);
+      return send({ version: 1, start, end, order: hit, source: got.source });
+    }
+    if (path === "/v1/summary") return send({ version: 1, start, end, ...summarize(got.orders, { start, end }), source: got.source });
+    if (path === "/v1/orders") {
+      const orders = got.orders.map(o => normalizeOrder(o, { start, end, raw }));
+      if (format === "csv") return sendAs(toCsv(orders), "text/csv; charset=utf-8");
+      if (format === "ics") return sendAs(toIcs(orders, { name: env.ICS_NAME || "DRS schedule" }), "text/calendar; charset=utf-8");
+      return send({ version: 1, start, end, count: orders.length, orders, source: got.source });
+    }
+    // legacy: whatever array pickArray() found, untouched
+    return send({ orders: got.orders, source: got.source });
+  }
+};
+
+// Runs today's order query uncached to prove the DRS credentials work. Reports
+// only the outcome and auth mode — never order data (DRS error bodies included).
+async function health(env, ctx, origin) {
+  const day = ymd();
+  const got = await drsOrders(env, ctx, day, day, { fresh: true });
+  const cache = env.DRS_KV ? "kv" : "cache-api";
+  if (got.orders) return json({ ok: true, drs: "ok", source: got.source, route: await cacheGet(env, "drs:route") || "", cache }, 200, origin);
+  return json({ ok: false, drs: got.diag.status === 401 || got.diag.status === 403 ? "unauthorized" : "unreachable", status: got.diag.status, mode: got.diag.mode, cache }, 502, origin);
+}
+
+// { total, days: [{ date, total, status: { <status>: n }, size: { <size>: n } }] } —
+// every day of start..end is listed; orders without a date go under "unknown"
+function summarize(raw, { start, end }) {
+  const days = new Map();
+  for (let d = new Date(`${start}T00:00:00Z`); ymd(d) <= end; d = addDays(d, 1)) days.set(ymd(d), { date: ymd(d), total: 0, status: {}, size: {} });
+  for (const o of raw.map(o => normalizeOrder(o, { start, end }))) {
+    const key = o.date || "unknown";
+    if (!days.has(key)) days.set(key, { date: key, total: 0, status: {}, size: {} });
+    const day = days.get(key);
+    const size = o.container.yards != null ? `${o.container.yards} Yard` : o.container.size || "unknown";
+    day.total++;
+    day.status[o.status || "unknown"] = (day.status[o.status || "unknown"] || 0) + 1;
+    day.size[size] = (day.size[size] || 0) + 1;
+  }
+  return { total: raw.length, days: [...days.values()] };
+}
+
+// Orders for start..end from DRS: cached payload if fresh enough, else the
+// endpoint/auth mode that worked last time first, then the rest.
+// → { orders, source, cache: "hit" | "miss" } or { orders: null, diag }
+async function drsOrders(env, ctx, start, end, { debug = false, fresh = false } = {}) {
+  const base  = String(env.DRS_BASE || "").replace(/\/+$/, "");
+  const key   = env.DRS_DEV_KEY || "";
+  const token = env.DRS_API_TOKEN || "";
+  const cacheKey = `orders:${start}:${end}`;
+
+  if (!fresh && ttl(env)) {
+    const hit = await cacheGet(env, cacheKey, ttl(env));
+    if (hit) return { ...hit, cache: "hit" };
+  }
+
+  const attempts = [];
+  for (const path of ["order", "orders"]) {
+    const u = `${base}/api/read/${path}/${start}/${end}/`;
+    attempts.push({ route: `${path}|post-form`,    run: () => postForm(u, key, token, "post-form") });
+    attempts.push({ route: `${path}|post-headers`, run: () => postHeaders(u, key, token, "post-headers") });
+    attempts.push({ route: `${path}|get-headers`,  run: () => getHeaders(u, key, token, "get-headers") });
+  }
+  const remembered = await cacheGet(env, "drs:route");
+  if (remembered) attempts.sort((a, b) => (b.route === remembered) - (a.route === remembered));
+
+  let diag = { status: 0, ct: "", len: 0, head: "", url: "", mode: "", keys: [] };
+
+  for (const { route, run } of attempts) {
+    const { res, tried, mode } = await run();
+    const ct  = (res.headers.get("content-type") || "").toLowerCase();
+    const txt = await res.text();
+    let parsed = null; try { parsed = JSON.parse(txt); } catch {}
+
+    const keys = parsed && typeof parsed === "object" ? Object.keys(parsed) : [];
+    const head = txt.slice(0, 500);
+    diag = { status: res.status, ct, len: txt.length, head, url: tried, mode, keys, remembered: remembered || "" };
+
+    if (res.ok && parsed) {
+      const orders = pickArray(parsed);
+      if (Array.isArray(orders) && (orders.length > 0 || !debug)) {
+        const out = { orders, source: mode };
+        const writes = [];
+        if (orders.length && route !== remembered) writes.push(cachePut(env, "drs:route", route, 7 * 86400));
+        if (ttl(env)) writes.push(cachePut(env, cacheKey, out, ttl(env)));
+        if (ctx?.waitUntil) ctx.waitUntil(Promise.all(writes)); else await Promise.all(writes);
+        return { ...out, cache: "miss" };
       }
+      // if debug, fall through so we can include diagnostics
     }
+  }
+  return { orders: null, diag };
+}
 
-    // If we got here, no usable array found. In debug mode, include diagnostics.
-    if (debug) {
-      return json({ orders: [], diagnostics: diag }, 502);
+// One order's record from DRS: cached per id, else each DRS_DETAIL_PATH with
+// every auth mode until one answers with a record.
+// → { record, source, cache } or { record: null, diag }
+async function drsDetail(env, ctx, id, { fresh = false } = {}) {
+  const base  = String(env.DRS_BASE || "").replace(/\/+$/, "");
+  const key   = env.DRS_DEV_KEY || "";
+  const token = env.DRS_API_TOKEN || "";
+  const cacheKey = `detail:${id}`;
+
+  if (!fresh && ttl(env)) {
+    const hit = await cacheGet(env, cacheKey, ttl(env));
+    if (hit) return { ...hit, cache: "hit" };
+  }
+
+  let diag = { status: 0, url: "", mode: "" };
+  for (const tpl of String(env.DRS_DETAIL_PATH || "/api/read/order/{id}/").split(",").map(s => s.trim()).filter(Boolean)) {
+    const u = base + (tpl.startsWith("/") ? "" : "/") + tpl.split("{id}").join(enc(id));
+    for (const [mode, run] of [["post-form", postForm], ["post-headers", postHeaders], ["get-headers", getHeaders]]) {
+      const { res, tried } = await run(u, key, token, mode);
+      let parsed = null; try { parsed = JSON.parse(await res.text()); } catch {}
+      diag = { status: res.status, url: tried, mode };
+      const record = res.ok ? pickRecord(parsed, id) : null;
+      if (record) {
+        const out = { record, source: mode };
+        if (ttl(env)) { const w = cachePut(env, cacheKey, out, ttl(env)); if (ctx?.waitUntil) ctx.waitUntil(w); else await w; }
+        return { ...out, cache: "miss" };
+      }
     }
-    // Non-debug: return empty but still JSON, so clients don’t crash.
-    return json({ orders: [] , source: "no-array" }, 200);
   }
-};
+  return { record: null, diag };
+}
 
 // ---------- helpers ----------
-function cors(h = new Headers()) {
-  h.set("access-control-allow-origin", "*");
+// origin: the caller's Origin when it is on ALLOWED_ORIGINS, else "" (no CORS grant)
+function cors(h = new Headers(), origin = "") {
+  if (!origin) return h;
+  h.set("access-control-allow-origin", origin);
+  h.set("vary", "origin");
   h.set("access-control-allow-methods", "GET,POST,OPTIONS");
-  h.set("access-control-allow-headers", "*,authorization,content-type");
+  h.set("access-control-allow-headers", "authorization,content-type");
   return h;
 }
 function ok(body, h = new Headers()) { return new Response(body, { status: 200, headers: h }); }
-function json(obj, status = 200) { const h = cors(); h.set("content-type","application/json; charset=utf-8"); return new Response(JSON.stringify(obj), { status, headers: h }); }
+function json(obj, status = 200, origin = "") { const h = cors(new Headers(), origin); h.set("content-type","application/json; charset=utf-8"); return new Response(JSON.stringify(obj), { status, headers: h }); }
+
+function allowedOrigin(origin, env) {
+  if (!origin) return "";
+  const list = String(env.ALLOWED_ORIGINS || "").split(",").map(s => s.trim()).filter(Boolean);
+  return list.includes("*") || list.includes(origin) ? origin : "";
+}
+
+// Returns an error message, or "" when the caller may proceed
+async function authorize(req, url, env) {
+  if (!env.ACCESS_TOKEN && !env.SIGNING_SECRET) return "Worker missing ACCESS_TOKEN/SIGNING_SECRET";
+  const bearer = (req.headers.get("authorization") || "").match(/^Bearer\s+(.+)$/i);
+  if (bearer && env.ACCESS_TOKEN && safeEqual(bearer[1].trim(), env.ACCESS_TOKEN)) return "";
+
+  const sig = url.searchParams.get("sig"), exp = Number(url.searchParams.get("exp"));
+  if (sig && env.SIGNING_SECRET) {
+    if (!(exp > Date.now() / 1000)) return "signature expired";
+    const expected = await hmacHex(env.SIGNING_SECRET, canonical(url));
+    if (safeEqual(sig.toLowerCase(), expected)) return "";
+  }
+  return "unauthorized";
+}
+// "<pathname>?<params without sig, sorted>" — what a signed link signs
+function canonical(url) {
+  const p = new URLSearchParams(url.searchParams); p.delete("sig"); p.sort();
+  return `${url.pathname}?${p.toString()}`;
+}
+async function hmacHex(secret, msg) {
+  const k = await crypto.subtle.importKey("raw", new TextEncoder().encode(secret), { name: "HMAC", hash: "SHA-256" }, false, ["sign"]);
+  const mac = await crypto.subtle.sign("HMAC", k, new TextEncoder().encode(msg));
+  return [...new Uint8Array(mac)].map(b => b.toString(16).padStart(2, "0")).join("");
+}
+function safeEqual(a, b) {
+  a = String(a); b = String(b);
+  let diff = a.length ^ b.length;
+  for (let i = 0; i < Math.max(a.length, b.length); i++) diff |= (a.charCodeAt(i) || 0) ^ (b.charCodeAt(i) || 0);
+  return diff === 0;
+}
+
+function ttl(env) { const n = Number(env.CACHE_TTL ?? 60); return n > 0 ? n : 0; }
+
+// Response with ETag / If-None-Match and an x-cache marker
+function cachedJson(req, obj, cache, maxAge, origin) {
+  return cachedBody(req, JSON.stringify(obj), "application/json; charset=utf-8", cache, maxAge, origin);
+}
+async function cachedBody(req, body, type, cache, maxAge, origin) {
+  const digest = await crypto.subtle.digest("SHA-1", new TextEncoder().encode(body));
+  const etag = `"${[...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, "0")).join("")}"`;
+  const h = cors(new Headers(), origin);
+  h.set("etag", etag);
+  h.set("cache-control", `private, max-age=${maxAge}`);
+  h.set("x-cache", cache);
+  const inm = (req.headers.get("if-none-match") || "").split(",").map(s => s.trim().replace(/^W\//, ""));
+  if (inm.includes(etag)) return new Response(null, { status: 304, headers: h });
+  h.set("content-type", type);
+  return new Response(body, { status: 200, headers: h });
+}
+
+// KV when DRS_KV is bound, else the Cache API (per data center), else nothing.
+// Values are stored with their write time so TTLs under KV's 60s minimum still hold.
+function cacheUrl(key) { return `https://drs-worker.cache/${encodeURIComponent(key)}`; }
+async function cacheGet(env, key, maxAge = 0) {
+  let entry = null;
+  try {
+    if (env.DRS_KV) entry = await env.DRS_KV.get(key, "json");
+    else if (typeof caches !== "undefined") { const r = await caches.default.match(cacheUrl(key)); entry = r ? await r.json() : null; }
+  } catch { entry = null; }
+  if (!entry || (maxAge && Date.now() - entry.at > maxAge * 1000)) return null;
+  return entry.value;
+}
+async function cachePut(env, key, value, maxAge) {
+  const entry = JSON.stringify({ at: Date.now(), value });
+  try {
+    if (env.DRS_KV) await env.DRS_KV.put(key, entry, { expirationTtl: Math.max(60, maxAge) });
+    else if (typeof caches !== "undefined") await caches.default.put(cacheUrl(key), new Response(entry, { headers: { "cache-control": `max-age=${maxAge}` } }));
+  } catch {}
+}
+
+function checkRange(start, end, maxDays) {
+  const re = /^\d{4}-\d{2}-\d{2}$/;
+  if (!re.test(start) || !re.test(end)) return "date/start/end must be YYYY-MM-DD";
+  const days = (Date.parse(end) - Date.parse(start)) / 86400000 + 1;
+  if (!(days >= 1)) return "end is before start";
+  if (days > maxDays) return `range is ${days} days; MAX_RANGE_DAYS is ${maxDays}`;
+  return "";
+}
 function ymd(d = new Date()) { const y=d.getUTCFullYear(), m=String(d.getUTCMonth()+1).padStart(2,"0"), da=String(d.getUTCDate()).padStart(2,"0"); return `${y}-${m}-${da}`; }
+function addDays(d, n) { return new Date(d.getTime() + n * 86400000); }
 function enc(x) { return encodeURIComponent(x ?? ""); }
 
 async function postForm(url, key, token, mode) {
@@ -124,8 +379,140 @@ async function getHeaders(url, key, token, mode) {
 }
 
 function wrap(res, tried, mode) {
-  const h = new Headers(res.headers); cors(h);
-  return { res: new Response(res.body, { status: res.status, headers: h }), tried, mode };
+  return { res: new Response(res.body, { status: res.status, headers: new Headers(res.headers) }), tried, mode };
+}
+
+// ---------- /v1 order schema ----------
+// Candidate keys per field, matched against flatten() output: full dotted paths
+// ("customer.name") or leaf names ("name"). Mirrors the defaults in mapping.json.
+const V1 = {
+  id:       ["order_id", "order", "order_number", "order_no", "id", "number", "tracking", "ticket_id", "invoice_id"],
+  date:     ["delivery_date", "service_date", "scheduled_date", "date", "start_date"],
+  pickup:   ["pickup_date", "pick_up_date", "removal_date", "end_date"],
+  customer: ["customer", "customer_name", "customer.name", "client", "client.name", "name"],
+  name:     ["contact_name", "contact.name", "contactname", "customer_name", "customer.name", "name"],
+  phone:    ["customer_phone", "customer.phone", "contact_phone", "contact.phone", "phone", "phone_number", "mobile"],
+  email:    ["customer_email", "customer.email", "contact_email", "contact.email", "email"],
+  address:  ["delivery_address", "delivery.address", "site_address", "site.address", "address", "location"],
+  size:     ["dumpster_size", "container_size", "size", "bin_size"],
+  status:   ["status", "order_status", "state"]
+};
+
+function normalizeOrder(o, { start, end, raw = false }) {
+  const flat = flatten(o);
+  const get = k => { for (const c of V1[k]) { const v = flat[c]; if (v != null && typeof v !== "object" && String(v).trim()) return String(v).replace(/\s+/g, " ").trim(); } return ""; };
+  const size = get("size");
+  const yards = size.match(/(\d+(?:\.\d+)?)\s*-?\s*(?:yds?|yards?)?\b/i);
+  const out = {
+    id: get("id").replace(/^#\s*/, ""),
+    date: toISODate(get("date")) || (start === end ? start : ""),
+    pickupDate: toISODate(get("pickup")),
+    customer: get("customer"),
+    contact: { name: get("name"), phone: get("phone"), email: get("email") },
+    address: get("address"),
+    container: { size, yards: yards ? Number(yards[1]) : null },
+    status: get("status")
+  };
+  if (raw) out.raw = o;
+  return out;
+}
+
+// Nested → { "customer.name": v, "items[0].size": v, name: v (leaf alias, last wins, not from arrays) }
+function flatten(obj, path = "", out = {}, inArray = false) {
+  if (Array.isArray(obj)) obj.forEach((v, i) => flatten(v, `${path}[${i}]`, out, true));
+  else if (obj && typeof obj === "object") {
+    for (const [k, v] of Object.entries(obj)) { const nk = String(k).toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, ""); flatten(v, path ? `${path}.${nk}` : nk, out, inArray); }
+  } else if (path) {
+    out[path] = obj;
+    const leaf = path.slice(path.lastIndexOf(".") + 1);
+    if (!inArray && leaf !== path) out[leaf] = obj;
+  }
+  return out;
+}
+
+// ISO, MM/DD/YYYY or anything Date.parse understands → "YYYY-MM-DD" ("" if not a date)
+function toISODate(v) {
+  const s = String(v || "").trim();
+  let m = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (m) return `${m[1]}-${m[2].padStart(2, "0")}-${m[3].padStart(2, "0")}`;
+  m = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})\b/);
+  if (m) return `${m[3]}-${m[1].padStart(2, "0")}-${m[2].padStart(2, "0")}`;
+  const t = Date.parse(s);
+  return s && !Number.isNaN(t) ? new Date(t).toISOString().slice(0, 10) : "";
+}
+
+// ---------- csv / ics ----------
+const CSV_COLUMNS = [
+  ["id", o => o.id], ["date", o => o.date], ["pickup_date", o => o.pickupDate], ["customer", o => o.customer],
+  ["contact_name", o => o.contact.name], ["contact_phone", o => o.contact.phone], ["contact_email", o => o.contact.email],
+  ["address", o => o.address], ["container_size", o => o.container.size], ["container_yards", o => o.container.yards ?? ""],
+  ["status", o => o.status]
+];
+
+// RFC 4180, CRLF rows; cells that a spreadsheet would run as a formula get a leading '
+function toCsv(orders) {
+  const cell = v => {
+    let s = String(v ?? "");
+    if (/^[=@\t\r]/.test(s) || (/^[+-]/.test(s) && !/^[+-][\d\s().-]*$/.test(s))) s = `'${s}`;
+    return /[",\r\n]|^\s|\s$/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+  };
+  const rows = [CSV_COLUMNS.map(([h]) => h), ...orders.map(o => CSV_COLUMNS.map(([, f]) => f(o)))];
+  return rows.map(r => r.map(cell).join(",")).join("\r\n") + "\r\n";
+}
+
+// RFC 5545 feed: an all-day VEVENT for each delivery (order date) and each pickup
+// (pickup date, or the order date when its status is a pickup)
+function toIcs(orders, { name }) {
+  const stamp = new Date().toISOString().replace(/[-:]/g, "").replace(/\.\d+/, "");
+  const lines = ["BEGIN:VCALENDAR", "VERSION:2.0", "PRODID:-//drs-order-sync//worker//EN", "CALSCALE:GREGORIAN", "METHOD:PUBLISH", `X-WR-CALNAME:${icsText(name)}`];
+  for (const o of orders) {
+    const pickupish = /pick/i.test(o.status);
+    const events = [];
+    if (o.date && !pickupish) events.push(["Delivery", o.date]);
+    if (o.pickupDate || (o.date && pickupish)) events.push(["Pickup", o.pickupDate || o.date]);
+    for (const [kind, day] of events) {
+      const size = o.container.yards != null ? `${o.container.yards} Yard` : o.container.size;
+      const details = [`Order #${o.id}`, o.status && `Status: ${o.status}`, size && `Container: ${size}`,
+        o.contact.name && `Contact: ${o.contact.name}`, o.contact.phone && `Phone: ${o.contact.phone}`].filter(Boolean);
+      lines.push("BEGIN:VEVENT",
+        `UID:${icsText(`${o.id || "order"}-${kind.toLowerCase()}-${day}`)}@drs-order-sync`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${day.replace(/-/g, "")}`,
+        `DTEND;VALUE=DATE:${ymd(addDays(new Date(`${day}T00:00:00Z`), 1)).replace(/-/g, "")}`,
+        `SUMMARY:${icsText([kind, size, o.customer].filter(Boolean).join(" – "))}`,
+        ...(o.address ? [`LOCATION:${icsText(o.address)}`] : []),
+        `DESCRIPTION:${icsText(details.join("\n"))}`,
+        "TRANSP:TRANSPARENT",
+        "END:VEVENT");
+    }
+  }
+  lines.push("END:VCALENDAR");
+  return lines.map(icsFold).join("\r\n") + "\r\n";
+}
+// TEXT value escaping (RFC 5545 3.3.11)
+function icsText(s) { return String(s ?? "").replace(/\\/g, "\\\\").replace(/;/g, "\\;").replace(/,/g, "\\,").replace(/\r?\n/g, "\\n"); }
+// Lines over 75 octets continue on the next line after CRLF + space, never splitting a UTF-8 character
+function icsFold(line) {
+  const out = [];
+  let cur = "", size = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (size + n > (out.length ? 74 : 75)) { out.push(cur); cur = ""; size = 0; }
+    cur += ch; size += n;
+  }
+  out.push(cur);
+  return out.join("\r\n ");
+}
+
+// The order's record in a detail response: the element of a list, the wrapped
+// { order | data | result | record: {...} } or the object itself — whichever carries
+// the requested id as its order id / number. A status envelope ({ status: "fail", ... })
+// or another order's record is not it: null, so nothing is cached and the route 404s.
+function pickRecord(root, id) {
+  if (!root || typeof root !== "object") return null;
+  const list = Array.isArray(root) ? root : ["orders", "order", "data", "results"].map(k => root[k]).find(Array.isArray);
+  const candidates = list || [...["order", "data", "result", "record"].map(k => root[k]), root];
+  return candidates.find(o => o && typeof o === "object" && !Array.isArray(o) && normalizeOrder(o, { start: "", end: "" }).id === id) || null;
 }
 
 // Pull out first sensible array from a JSON object